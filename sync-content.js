@@ -13,9 +13,20 @@ import { google } from 'googleapis';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import simpleGit from 'simple-git';
 import axios from 'axios';
+import { parse as parseHtml } from 'node-html-parser';
+import YAML from 'yaml';
+import sharp from 'sharp';
+import mammoth from 'mammoth';
+import ExcelJS from 'exceljs';
 import fs from 'fs/promises';
+import { readFileSync, realpathSync } from 'fs';
+import crypto from 'crypto';
+import http from 'http';
+import os from 'os';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import zlib from 'zlib';
 import { throws } from 'assert';
 
 // ES Module Kompatibilität für __dirname
@@ -178,30 +189,450 @@ function detectGitApiUrl() {
   return 'https://gitlab.com/api/v4';
 }
 
-const CONFIG = {
-  driveFolderId: process.env.DRIVE_FOLDER_ID,
-  googleApiKey: process.env.GOOGLE_API_KEY,
-  geminiModel: process.env.GEMINI_MODEL || 'gemini-3-pro-preview',
-  geminiSystemPrompt: process.env.GEMINI_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+/**
+ * Schema aller Einstellungen
+ * Schlüssel in sync.config.(json|yaml|js) = Name in CONFIG. Umgebungsvariablen (env, in dieser
+ * Reihenfolge) haben Vorrang vor der Datei. Geheime Werte (secret) nur per Umgebungsvariable.
+ */
+const CONFIG_SCHEMA = {
+  driveFolderId: { type: 'string', env: ['DRIVE_FOLDER_ID'] },
+  // Mehrere Drive-Hauptordner mit eigenem Zielverzeichnis (ersetzt driveFolderId, siehe MAPPING_SCHEMA)
+  mappings: { type: 'mappings', env: ['SYNC_MAPPINGS'], default: [] },
+  // ID der geteilten Ablage (Shared Drive), in der DRIVE_FOLDER_ID liegt (optional)
+  driveId: { type: 'string', env: ['DRIVE_ID'], default: null },
+  googleApiKey: { type: 'string', env: ['GOOGLE_API_KEY'], secret: true },
+  // Google-Zugang für Drive/Docs/Sheets: api-key, service-account oder oauth (Standard: automatisch erkannt)
+  googleAuthMethod: { type: 'enum', values: ['api-key', 'service-account', 'oauth'], env: ['GOOGLE_AUTH_METHOD'], default: null },
+  // Service Account: Pfad zur JSON-Schlüsseldatei oder JSON-Inhalt (auch Base64) direkt in der Variable
+  googleServiceAccountKeyFile: { type: 'string', env: ['GOOGLE_SERVICE_ACCOUNT_KEY_FILE', 'GOOGLE_APPLICATION_CREDENTIALS'], default: null },
+  googleServiceAccountKey: { type: 'string', env: ['GOOGLE_SERVICE_ACCOUNT_KEY'], secret: true, default: null },
+  // OAuth: Client und Refresh Token eines Benutzers mit Lesezugriff auf die Ordner
+  googleOAuthClientId: { type: 'string', env: ['GOOGLE_OAUTH_CLIENT_ID'], default: null },
+  googleOAuthClientSecret: { type: 'string', env: ['GOOGLE_OAUTH_CLIENT_SECRET'], secret: true, default: null },
+  googleOAuthRefreshToken: { type: 'string', env: ['GOOGLE_OAUTH_REFRESH_TOKEN'], secret: true, default: null },
+  // KI-Provider: gemini, openai (beliebiger OpenAI-kompatibler Endpoint, z.B. Ollama/llama.cpp) oder none (Passthrough)
+  llmProvider: { type: 'enum', values: ['gemini', 'openai', 'none'], env: ['LLM_PROVIDER'], default: 'gemini' },
+  // Modellname, Standard nur für Gemini (gemini-3-pro-preview), für openai erforderlich
+  llmModel: { type: 'string', env: ['LLM_MODEL', 'GEMINI_MODEL'] },
+  // Basis-URL des OpenAI-kompatiblen Endpoints (z.B. http://localhost:11434/v1)
+  llmApiUrl: { type: 'url', env: ['LLM_API_URL'] },
+  // API Key für den KI-Provider (Standard für Gemini: GOOGLE_API_KEY)
+  llmApiKey: { type: 'string', env: ['LLM_API_KEY'], secret: true },
+  llmTemperature: { type: 'number', min: 0, max: 2, env: ['LLM_TEMPERATURE'], default: 0.7 },
+  llmMaxTokens: { type: 'integer', min: 1, env: ['LLM_MAX_TOKENS'], default: 16384 },
+  systemPrompt: { type: 'string', env: ['LLM_SYSTEM_PROMPT', 'GEMINI_SYSTEM_PROMPT'] },
+  // System-Prompt aus einer Datei (relativ zur Konfigurationsdatei), wenn systemPrompt nicht gesetzt ist
+  systemPromptFile: { type: 'string', env: ['LLM_SYSTEM_PROMPT_FILE'], default: null },
+  // Anzahl der Reparaturversuche, wenn die KI-Ausgabe die Validierung nicht besteht
+  aiRepairAttempts: { type: 'integer', min: 0, env: ['AI_REPAIR_ATTEMPTS'], default: 2 },
+  // Geschützter Bereich fehlt in der KI-Ausgabe: append (unter der alten Überschrift bzw. am Ende einsetzen)
+  // oder error (Reparaturversuche, danach Seite nicht aktualisieren)
+  keepRegionMissing: { type: 'enum', values: ['append', 'error'], env: ['KEEP_REGION_MISSING'], default: 'append' },
   // Git-Provider Token (funktioniert mit GitLab und GitHub)
   // GitHub Actions: GITHUB_TOKEN (automatisch gesetzt)
   // GitLab CI: CI_JOB_TOKEN (automatisch gesetzt)
-  gitAccessToken: process.env.GIT_ACCESS_TOKEN || process.env.GITHUB_TOKEN || process.env.CI_JOB_TOKEN || process.env.GITLAB_TOKEN,
+  gitAccessToken: { type: 'string', env: ['GIT_ACCESS_TOKEN', 'GITHUB_TOKEN', 'CI_JOB_TOKEN', 'GITLAB_TOKEN'], secret: true },
   // Git-Provider Projekt/Repository ID
   // GitHub: GITHUB_REPOSITORY (z.B. "owner/repo")
   // GitLab: CI_PROJECT_ID (numeric ID)
-  gitProjectId: process.env.GIT_PROJECT_ID || process.env.GITHUB_REPOSITORY || process.env.GITLAB_PROJECT_ID || process.env.CI_PROJECT_ID,
+  gitProjectId: { type: 'string', env: ['GIT_PROJECT_ID', 'GITHUB_REPOSITORY', 'GITLAB_PROJECT_ID', 'CI_PROJECT_ID'] },
   // Git-Provider API URL (dynamisch erkannt)
-  gitApiUrl: detectGitApiUrl(),
-  repoPath: process.env.REPO_PATH || process.env.GITHUB_WORKSPACE || process.env.CI_PROJECT_DIR || process.cwd(),
-  contentPath: process.env.CONTENT_PATH || 'docs',
-  assetsPath: process.env.ASSETS_PATH || 'public',
-  logLevel: process.env.LOG_LEVEL || 'info',
+  gitApiUrl: { type: 'url', env: ['GIT_API_URL', 'GITLAB_API_URL', 'CI_API_V4_URL', 'GITHUB_API_URL'], default: () => detectGitApiUrl() },
+  // Repository-Verzeichnis (in der Konfigurationsdatei relativ zu deren Verzeichnis)
+  repoPath: { type: 'string', env: ['REPO_PATH', 'GITHUB_WORKSPACE', 'CI_PROJECT_DIR'], default: () => process.cwd() },
+  contentPath: { type: 'path', env: ['CONTENT_PATH'], default: 'docs' },
+  assetsPath: { type: 'path', env: ['ASSETS_PATH'], default: 'public' },
+  // Generierte Sidebar/Navigation für VitePress (relativ zu CONTENT_PATH, leer = deaktiviert)
+  sidebarFile: { type: 'path', allowEmpty: true, env: ['SIDEBAR_FILE'], default: '.vitepress/sidebar.generated.json' },
+  logLevel: { type: 'enum', values: ['info', 'debug', 'error'], env: ['LOG_LEVEL'], default: 'info' },
+  // Nur bestimmte Ordner synchronisieren (Name, ID oder Pfad, kommagetrennt; CLI: --folder)
+  folderFilter: { type: 'list', env: ['SYNC_FOLDERS'], default: [] },
+  // Dateien, die in keinem Ordner verarbeitet werden (Name mit * und ?, oder Drive-ID; kommagetrennt)
+  ignore: { type: 'list', env: ['SYNC_IGNORE'], default: [] },
+  // Inkrementeller Sync über die Drive Changes API (nur betroffene Ordner verarbeiten)
+  incrementalSync: { type: 'boolean', env: ['INCREMENTAL_SYNC'], default: false },
+  // Zustand des inkrementellen Syncs (Page Token, Ordnerstruktur) je Hauptordner, relativ zum Repository
+  // Wird nicht committed (eigene .gitignore), in CI per Cache zwischen den Läufen erhalten
+  syncStateDir: { type: 'path', env: ['SYNC_STATE_DIR'], default: '.sync-state' },
+  // serve: HTTP-Endpunkt für Drive-Benachrichtigungen
+  serveHost: { type: 'string', env: ['SERVE_HOST'], default: '0.0.0.0' },
+  servePort: { type: 'integer', min: 1, max: 65535, env: ['SERVE_PORT', 'PORT'], default: 8080 },
+  // Öffentliche HTTPS-Adresse, an die Drive die Benachrichtigungen sendet (Pfad = Webhook-Pfad)
+  webhookUrl: { type: 'url', env: ['WEBHOOK_URL'], default: null },
+  // Geheimer Token, den Drive bei jeder Benachrichtigung mitschickt (leer = zufällig pro Start)
+  webhookToken: { type: 'string', env: ['WEBHOOK_TOKEN'], secret: true, default: null },
+  // Wartezeit nach der letzten Benachrichtigung, bevor synchronisiert wird
+  webhookDebounceSeconds: { type: 'integer', min: 0, env: ['WEBHOOK_DEBOUNCE_SECONDS'], default: 60 },
+  // Laufzeit eines Watch-Kanals (Drive erlaubt maximal 7 Tage), wird vorher erneuert
+  watchChannelHours: { type: 'integer', min: 1, max: 168, env: ['WATCH_CHANNEL_HOURS'], default: 24 },
+  // Umgang mit manuell bearbeiteten Seiten: merge (Dreiwege-Merge), skip (Seite nicht aktualisieren)
+  // oder flag (überschreiben und im Merge Request markieren)
+  manualEditMode: { type: 'enum', values: ['merge', 'skip', 'flag'], env: ['MANUAL_EDIT_MODE'], default: 'merge' },
+  // Diff-Check ignorieren und alle Ordner neu verarbeiten (CLI: --force)
+  forceUpdate: { type: 'boolean', env: ['FORCE_UPDATE'], default: false },
+  // Branch, Commit und Merge Request erstellen (CLI: --no-mr)
+  createMergeRequest: { type: 'boolean', env: ['CREATE_MERGE_REQUEST'], default: true },
+  // Offenen Merge Request mit Label "Content-Update" weiterverwenden statt einen neuen zu erstellen
+  reuseMergeRequest: { type: 'boolean', env: ['REUSE_MERGE_REQUEST'], default: true },
+  // combined (ein Merge Request für alle Änderungen) oder per-page (ein Merge Request pro Seite)
+  mergeRequestMode: { type: 'enum', values: ['combined', 'per-page'], env: ['MERGE_REQUEST_MODE'], default: 'combined' },
+  // Inhalte mit KI transformieren (CLI: --no-ai)
+  useAi: { type: 'boolean', env: ['USE_AI'], default: true },
+  // Konvertierungsmodus: ai (KI-Transformation) oder deterministic (Google Docs → Markdown ohne KI)
+  conversionMode: { type: 'enum', values: ['ai', 'deterministic'], env: ['CONVERSION_MODE'], default: 'ai' },
+  // Ordner (inkl. Unterordner), die immer deterministisch ohne KI konvertiert werden (Name, ID oder Pfad, kommagetrennt)
+  deterministicFolders: { type: 'list', env: ['DETERMINISTIC_FOLDERS'], default: [] },
+  // Erste Zeile von Google Sheets als Tabellenkopf verwenden
+  sheetsHeaderRow: { type: 'boolean', env: ['SHEETS_HEADER_ROW'], default: true },
+  // Tabellen aus Google Sheets nicht an die KI geben, sondern unverändert in die Seite einsetzen
+  sheetsBypassAi: { type: 'boolean', env: ['SHEETS_BYPASS_AI'], default: false },
+  // Dry-Run: Nichts schreiben, nichts pushen - nur Vorschau (Diffs, Branch, Commit, MR)
+  dryRun: { type: 'boolean', env: ['DRY_RUN'], default: false },
+  // Im Dry-Run die KI-Transformation ausführen (Standard: ja, z.B. um Prompt-Änderungen zu prüfen)
+  dryRunAi: { type: 'boolean', env: ['DRY_RUN_AI'], default: true },
+  // Optionales Verzeichnis für Dry-Run Diffs (Standard: Ausgabe auf der Konsole)
+  dryRunOutputDir: { type: 'string', env: ['DRY_RUN_OUTPUT_DIR'], default: null },
+  // Bilder verkleinern, konvertieren und EXIF/GPS-Daten entfernen
+  imageOptimization: { type: 'boolean', env: ['IMAGE_OPTIMIZATION'], default: true },
+  // Zielformat: webp, avif oder original (Format der Quelldatei beibehalten)
+  imageFormat: { type: 'enum', values: ['webp', 'avif', 'original'], env: ['IMAGE_FORMAT'], default: 'webp' },
+  // Zusätzlich eine Fallback-Datei im Originalformat schreiben (<picture> mit Fallback)
+  imageKeepOriginal: { type: 'boolean', env: ['IMAGE_KEEP_ORIGINAL'], default: false },
+  imageMaxWidth: { type: 'integer', min: 1, env: ['IMAGE_MAX_WIDTH'], default: 1920 },
+  imageMaxHeight: { type: 'integer', min: 1, env: ['IMAGE_MAX_HEIGHT'], default: 1920 },
+  imageQuality: { type: 'integer', min: 1, max: 100, env: ['IMAGE_QUALITY'], default: 80 },
   // Git Benutzer-Konfiguration für Commits
-  gitUserName: process.env.GIT_USER_NAME || process.env.GITLAB_USER_NAME || 'Content Sync Bot',
-  gitUserEmail: process.env.GIT_USER_EMAIL || process.env.GITLAB_USER_EMAIL || 'bot@content-sync.local'
+  gitUserName: { type: 'string', env: ['GIT_USER_NAME', 'GITLAB_USER_NAME'], default: 'Content Sync Bot' },
+  gitUserEmail: { type: 'string', env: ['GIT_USER_EMAIL', 'GITLAB_USER_EMAIL'], default: 'bot@content-sync.local' }
+};
+
+/**
+ * Schema einer Zuordnung Drive-Hauptordner → Zielverzeichnis (mappings)
+ * Nicht gesetzte Werte kommen aus der globalen Konfiguration
+ */
+const MAPPING_SCHEMA = {
+  // Anzeigename (Log, Navigation, Merge Request), Standard: contentPath
+  name: { type: 'string' },
+  driveFolderId: { type: 'string', required: true },
+  contentPath: { type: 'path', required: true },
+  assetsPath: { type: 'path' },
+  // Docs und Sheets im Hauptordner dieser Zuordnung als Context-Dokumente laden
+  contextDocuments: { type: 'boolean' },
+  // Ersetzt den System-Prompt bzw. ergänzt ihn um zusätzliche Anweisungen
+  systemPrompt: { type: 'string' },
+  systemPromptFile: { type: 'string' },
+  prompt: { type: 'string' }
 };
 
+// Namen der Konfigurationsdatei im Repository (Reihenfolge der Suche)
+const CONFIG_FILE_NAMES = ['sync.config.json', 'sync.config.yaml', 'sync.config.yml', 'sync.config.js', 'sync.config.mjs'];
+
+/**
+ * Prüfe einen Wert gegen seine Schema-Regel
+ * Liefert den (normalisierten) Wert oder wirft einen Fehler mit verständlicher Beschreibung
+ */
+function checkConfigValue(rule, value) {
+  switch (rule.type) {
+    case 'string':
+    case 'url':
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new Error(`muss ein nicht-leerer Text sein, ist ${JSON.stringify(value)}`);
+      }
+      if (rule.type === 'url' && !/^https?:\/\/[^\s/]+/.test(value)) {
+        throw new Error(`"${value}" ist keine gültige http(s)-URL`);
+      }
+      return value;
+    case 'path': {
+      if (typeof value !== 'string' || (value.trim() === '' && !rule.allowEmpty)) {
+        throw new Error(`muss ein relativer Pfad sein, ist ${JSON.stringify(value)}`);
+      }
+      const normalized = path.posix.normalize(value.replace(/\\/g, '/'));
+      if (value !== '' && (path.isAbsolute(value) || normalized === '..' || normalized.startsWith('../'))) {
+        throw new Error(`"${value}" muss ein relativer Pfad innerhalb des Repositories sein`);
+      }
+      return value;
+    }
+    case 'enum': {
+      const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (!rule.values.includes(normalized)) {
+        throw new Error(`unbekannter Wert ${JSON.stringify(value)} (erlaubt: ${rule.values.join(', ')})`);
+      }
+      return normalized;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error(`muss true oder false sein, ist ${JSON.stringify(value)}`);
+      }
+      return value;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`muss eine ${rule.type === 'integer' ? 'ganze ' : ''}Zahl sein, ist ${JSON.stringify(value)}`);
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        throw new Error(`${value} liegt außerhalb des erlaubten Bereichs (${rule.min ?? '-∞'} bis ${rule.max ?? '∞'})`);
+      }
+      return value;
+    case 'list':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        throw new Error(`muss eine Liste von Texten sein, ist ${JSON.stringify(value)}`);
+      }
+      return value.map(item => item.trim()).filter(Boolean);
+    case 'mappings':
+      if (!Array.isArray(value)) {
+        throw new Error(`muss eine Liste von Zuordnungen sein, ist ${JSON.stringify(value)}`);
+      }
+      return value.map((mapping, index) => checkMapping(mapping, index));
+    default:
+      throw new Error(`unbekannter Schema-Typ ${rule.type}`);
+  }
+}
+
+/**
+ * URL eines Verzeichnisses auf der VitePress-Webseite (CONTENT_PATH ist das Quellverzeichnis,
+ * dessen public/ wird unter / ausgeliefert). Liefert null für Verzeichnisse außerhalb von CONTENT_PATH
+ */
+function getPublicUrl(contentPath, dir) {
+  const relative = path.posix.relative(path.posix.normalize(contentPath), path.posix.normalize(dir));
+  if (relative.startsWith('..')) {
+    return null;
+  }
+  return `/${relative.replace(/^public(\/|$)/, '')}`.replace(/\/$/, '');
+}
+
+/**
+ * Prüfe eine Zuordnung gegen MAPPING_SCHEMA (Fehler nennen die Position in der Liste)
+ */
+function checkMapping(mapping, index) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`[${index}] muss ein Objekt sein, ist ${JSON.stringify(mapping)}`);
+  }
+
+  const result = {};
+  for (const key of Object.keys(mapping)) {
+    if (!MAPPING_SCHEMA[key]) {
+      throw new Error(`[${index}].${key}: unbekannte Einstellung`);
+    }
+  }
+  for (const [key, rule] of Object.entries(MAPPING_SCHEMA)) {
+    if (mapping[key] === undefined || mapping[key] === null) {
+      if (rule.required) {
+        throw new Error(`[${index}].${key}: fehlt`);
+      }
+      continue;
+    }
+    try {
+      result[key] = checkConfigValue(rule, mapping[key]);
+    } catch (error) {
+      throw new Error(`[${index}].${key}: ${error.message}`);
+    }
+  }
+
+  result.name = result.name || result.contentPath;
+  return result;
+}
+
+/**
+ * Wandle den Text einer Umgebungsvariable in den Typ der Schema-Regel
+ */
+function parseEnvValue(rule, text) {
+  switch (rule.type) {
+    case 'boolean':
+      if (/^(true|1|yes)$/i.test(text.trim())) return true;
+      if (/^(false|0|no)$/i.test(text.trim())) return false;
+      return text;
+    case 'integer':
+    case 'number':
+      return /^\s*-?\d+(\.\d+)?\s*$/.test(text) ? Number(text) : text;
+    case 'list':
+      return text.split(',');
+    case 'mappings':
+      // Zuordnungen als JSON-Liste
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * Finde die Konfigurationsdatei: explizit (--config, SYNC_CONFIG) oder sync.config.* im Repository
+ * Liefert den absoluten Pfad oder null
+ */
+async function findConfigFile(explicitPath) {
+  if (explicitPath) {
+    const filePath = path.resolve(explicitPath);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      throw new Error(`Konfigurationsdatei nicht gefunden: ${filePath}`);
+    }
+    return filePath;
+  }
+
+  const directory = process.env.REPO_PATH || process.env.GITHUB_WORKSPACE || process.env.CI_PROJECT_DIR || process.cwd();
+  const found = [];
+  for (const name of CONFIG_FILE_NAMES) {
+    try {
+      await fs.access(path.join(directory, name));
+      found.push(path.join(directory, name));
+    } catch (error) {
+      // Nicht vorhanden
+    }
+  }
+
+  if (found.length > 1) {
+    throw new Error(`Mehrere Konfigurationsdateien gefunden (${found.map(file => path.basename(file)).join(', ')}) - bitte nur eine verwenden`);
+  }
+  return found[0] || null;
+}
+
+/**
+ * Lies die Konfigurationsdatei (JSON, YAML oder JavaScript mit default export)
+ */
+async function readConfigFile(filePath) {
+  let data;
+  try {
+    if (/\.m?js$/.test(filePath)) {
+      const module = await import(pathToFileURL(filePath).href);
+      data = typeof module.default === 'function' ? await module.default() : module.default;
+    } else {
+      const text = await fs.readFile(filePath, 'utf-8');
+      data = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    }
+  } catch (error) {
+    throw new Error(`Konfigurationsdatei ${path.basename(filePath)} nicht lesbar: ${error.message.split('\n')[0]}`);
+  }
+
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Konfigurationsdatei ${path.basename(filePath)} muss ein Objekt mit Einstellungen enthalten`);
+  }
+  return data;
+}
+
+/**
+ * Setze die Konfiguration aus Schema-Standardwerten, Konfigurationsdatei und Umgebungsvariablen zusammen
+ * (spätere überschreiben frühere) und validiere sie. Alle Fehler werden gesammelt gemeldet.
+ */
+async function loadConfig({ configFile = process.env.SYNC_CONFIG || null } = {}) {
+  const filePath = await findConfigFile(configFile);
+  const fileName = filePath ? path.basename(filePath) : null;
+  const fileData = filePath ? await readConfigFile(filePath) : {};
+  const config = {};
+  const sources = {};
+  const errors = [];
+
+  for (const key of Object.keys(fileData)) {
+    if (!CONFIG_SCHEMA[key]) {
+      errors.push(`${fileName} → ${key}: unbekannte Einstellung`);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const envName = rule.env.find(name => process.env[name] !== undefined && (process.env[name] !== '' || rule.allowEmpty));
+    let source;
+    let value;
+
+    if (envName) {
+      source = envName;
+      sources[key] = 'env';
+      value = parseEnvValue(rule, process.env[envName]);
+    } else if (key in fileData && fileData[key] !== null) {
+      source = `${fileName} → ${key}`;
+      sources[key] = 'file';
+      value = fileData[key];
+      if (rule.secret) {
+        errors.push(`${source}: geheime Werte gehören nicht in die Konfigurationsdatei - bitte per Umgebungsvariable ${rule.env[0]} setzen`);
+        continue;
+      }
+    } else {
+      config[key] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      continue;
+    }
+
+    try {
+      config[key] = checkConfigValue(rule, value);
+    } catch (error) {
+      errors.push(`${source}: ${error.message}`);
+    }
+  }
+
+  // Pfade aus der Konfigurationsdatei beziehen sich auf deren Verzeichnis
+  if (filePath) {
+    const baseDir = path.dirname(filePath);
+    if (sources.repoPath === 'file') {
+      config.repoPath = path.resolve(baseDir, config.repoPath);
+    }
+    if (sources.systemPromptFile === 'file') {
+      config.systemPromptFile = path.resolve(baseDir, config.systemPromptFile);
+    }
+  }
+
+  // Zuordnungen: Zielverzeichnisse weder gleich noch ineinander verschachtelt (sonst hält der Abgleich
+  // die Seiten der inneren Zuordnung für gelöschte Ordner der äußeren), Prompt-Dateien laden
+  const contentPaths = (config.mappings || []).map(mapping => path.posix.normalize(mapping.contentPath.replace(/\\/g, '/')).replace(/\/$/, ''));
+  const contains = (outer, inner) => outer === '.' || inner.startsWith(`${outer}/`);
+  contentPaths.forEach((contentPath, index) => {
+    const other = contentPaths.findIndex((otherPath, otherIndex) =>
+      (otherIndex < index && otherPath === contentPath) || (otherPath !== contentPath && contains(otherPath, contentPath)));
+    if (other !== -1) {
+      errors.push(`mappings[${index}].contentPath: "${contentPath}" überschneidet sich mit mappings[${other}].contentPath "${contentPaths[other]}" (Zielverzeichnisse dürfen nicht gleich oder ineinander verschachtelt sein)`);
+    }
+  });
+  for (const [index, mapping] of (config.mappings || []).entries()) {
+    if (mapping.assetsPath && getPublicUrl(config.contentPath, path.posix.join(mapping.contentPath, mapping.assetsPath)) === null) {
+      errors.push(`mappings[${index}].assetsPath: "${path.posix.join(mapping.contentPath, mapping.assetsPath)}" liegt außerhalb von contentPath (CONTENT_PATH) und wäre auf der Webseite nicht erreichbar`);
+    }
+    if (mapping.systemPromptFile && !mapping.systemPrompt) {
+      const promptFile = path.resolve(filePath && sources.mappings === 'file' ? path.dirname(filePath) : process.cwd(), mapping.systemPromptFile);
+      try {
+        mapping.systemPrompt = await fs.readFile(promptFile, 'utf-8');
+      } catch (error) {
+        errors.push(`mappings[${index}].systemPromptFile: Datei ${promptFile} nicht lesbar`);
+      }
+    }
+  }
+
+  // Abhängigkeiten zwischen Einstellungen
+  if (config.llmProvider === 'openai' && !config.llmApiUrl) {
+    errors.push('llmApiUrl (LLM_API_URL): wird für LLM_PROVIDER=openai benötigt');
+  }
+  if (!config.llmModel && config.llmProvider === 'openai') {
+    errors.push('llmModel (LLM_MODEL): wird für LLM_PROVIDER=openai benötigt (z.B. llama3.1:8b oder gpt-4o-mini)');
+  } else if (!config.llmModel && config.llmProvider === 'gemini') {
+    config.llmModel = 'gemini-3-pro-preview';
+  }
+
+  if (!config.systemPrompt && config.systemPromptFile) {
+    try {
+      config.systemPrompt = await fs.readFile(config.systemPromptFile, 'utf-8');
+    } catch (error) {
+      errors.push(`systemPromptFile (LLM_SYSTEM_PROMPT_FILE): Datei ${config.systemPromptFile} nicht lesbar`);
+    }
+  }
+  config.systemPrompt = config.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+
+  if (errors.length > 0) {
+    const error = new Error(`Ungültige Konfiguration:\n${errors.map(message => `  - ${message}`).join('\n')}`);
+    error.configErrors = errors;
+    throw error;
+  }
+
+  config.configFile = filePath;
+  return config;
+}
+
+/**
+ * Aktive Konfiguration - wird in main() über loadConfig() befüllt
+ */
+const CONFIG = {};
+
 // ========================================
 // Logger
 // ========================================
@@ -229,32 +660,244 @@ class Logger {
   static success(message, ...args) {
     this.log('success', `✓ ${message}`, ...args);
   }
+
+  // Ausgabe ohne Zeitstempel und Level (Hilfe, Status-Übersicht)
+  static print(message = '') {
+    console.log(message);
+  }
 }
 
 // ========================================
 // Google Drive Service
 // ========================================
 
+const GOOGLE_SCOPES = ['https://www.googleapis.com/auth/drive.readonly'];
+
+/**
+ * Namen der Steuerdatei eines Ordners (Google Doc/Sheet "_config" oder hochgeladene YAML-Datei)
+ * Die Steuerdatei wird nie als Seiteninhalt verarbeitet
+ */
+const FOLDER_CONFIG_NAMES = ['_config', '_config.yaml', '_config.yml'];
+
+/**
+ * Ermittle die Google-Anmeldemethode (explizit per GOOGLE_AUTH_METHOD oder automatisch)
+ * Reihenfolge der Erkennung: Service Account, OAuth, API Key
+ */
+function getGoogleAuthMethod(config) {
+  if (config.googleAuthMethod) return config.googleAuthMethod;
+  if (config.googleServiceAccountKey || config.googleServiceAccountKeyFile) return 'service-account';
+  if (config.googleOAuthRefreshToken) return 'oauth';
+  if (config.googleApiKey) return 'api-key';
+  return null;
+}
+
+/**
+ * Lade den Service-Account-Schlüssel aus der Datei bzw. der Umgebungsvariable (JSON oder Base64)
+ */
+function loadServiceAccountCredentials(config) {
+  let raw = config.googleServiceAccountKey;
+  if (!raw && config.googleServiceAccountKeyFile) {
+    try {
+      raw = readFileSync(config.googleServiceAccountKeyFile, 'utf-8');
+    } catch (error) {
+      throw new Error(`Service-Account-Schlüssel nicht lesbar (${config.googleServiceAccountKeyFile}): ${error.message}`);
+    }
+  }
+  if (!raw) {
+    throw new Error('Service Account benötigt GOOGLE_SERVICE_ACCOUNT_KEY_FILE oder GOOGLE_SERVICE_ACCOUNT_KEY');
+  }
+
+  const json = raw.trim().startsWith('{') ? raw : Buffer.from(raw, 'base64').toString('utf-8');
+  let credentials;
+  try {
+    credentials = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Service-Account-Schlüssel ist kein gültiges JSON');
+  }
+
+  if (!credentials.client_email || !credentials.private_key) {
+    throw new Error('Service-Account-Schlüssel unvollständig (client_email und private_key erforderlich)');
+  }
+  return credentials;
+}
+
+/**
+ * Erstelle die Google-Anmeldung für Drive, Docs- und Sheets-Exporte
+ * API Key (nur öffentliche Ordner), Service Account oder OAuth Refresh Token
+ */
+function createGoogleAuth(config) {
+  switch (getGoogleAuthMethod(config)) {
+    case 'service-account':
+      return new google.auth.GoogleAuth({
+        credentials: loadServiceAccountCredentials(config),
+        scopes: GOOGLE_SCOPES
+      });
+    case 'oauth': {
+      if (!config.googleOAuthClientId || !config.googleOAuthClientSecret || !config.googleOAuthRefreshToken) {
+        throw new Error('OAuth benötigt GOOGLE_OAUTH_CLIENT_ID, GOOGLE_OAUTH_CLIENT_SECRET und GOOGLE_OAUTH_REFRESH_TOKEN');
+      }
+      const client = new google.auth.OAuth2(config.googleOAuthClientId, config.googleOAuthClientSecret);
+      client.setCredentials({ refresh_token: config.googleOAuthRefreshToken });
+      return client;
+    }
+    case 'api-key':
+    case null:
+      return config.googleApiKey;
+    default:
+      throw new Error(`Unbekannte GOOGLE_AUTH_METHOD: ${config.googleAuthMethod} (erlaubt: api-key, service-account, oauth)`);
+  }
+}
+
 class DriveService {
-  constructor(googleApiKey) {
-    // Für öffentliche Ordner brauchen wir nur einen API Key
-    this.drive = google.drive({ version: 'v3', auth: googleApiKey });
+  /**
+   * @param {string|object} auth - API Key (öffentliche Ordner) oder Auth-Client aus createGoogleAuth()
+   */
+  constructor(auth, { driveId = null } = {}) {
+    this.drive = google.drive({ version: 'v3', auth });
+    this.sheets = google.sheets({ version: 'v4', auth });
+    this.driveId = driveId;
+  }
+
+  /**
+   * Führe files.list über alle Seiten aus (pageToken) und liefere alle Dateien
+   * Geteilte Ablagen (Shared Drives) werden immer mit einbezogen, mit driveId gezielt durchsucht
+   */
+  async listAllFiles({ q, fields, orderBy }) {
+    const files = [];
+    let pageToken;
+
+    do {
+      const response = await this.drive.files.list({
+        q,
+        fields: `nextPageToken, ${fields}`,
+        orderBy,
+        pageSize: 1000,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        ...(this.driveId ? { corpora: 'drive', driveId: this.driveId } : {})
+      });
+
+      files.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return files;
+  }
+
+  /**
+   * Hole den Page Token für die Changes API (Ausgangspunkt für den nächsten inkrementellen Sync)
+   */
+  async getStartPageToken() {
+    try {
+      const response = await this.drive.changes.getStartPageToken({
+        supportsAllDrives: true,
+        ...(this.driveId ? { driveId: this.driveId } : {})
+      });
+      return response.data.startPageToken;
+    } catch (error) {
+      Logger.error('Fehler beim Abrufen des Start-Page-Tokens:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Abonniere Änderungen (Changes API) per Webhook
+   * Liefert den Kanal { id, resourceId, expiration }
+   */
+  async watchChanges(pageToken, { id, address, token, expiration }) {
+    try {
+      const response = await this.drive.changes.watch({
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+        ...(this.driveId ? { driveId: this.driveId } : {}),
+        requestBody: {
+          id,
+          type: 'web_hook',
+          address,
+          token,
+          expiration: String(expiration)
+        }
+      });
+
+      return {
+        id: response.data.id,
+        resourceId: response.data.resourceId,
+        expiration: Number(response.data.expiration)
+      };
+    } catch (error) {
+      Logger.error('Fehler beim Anlegen des Watch-Kanals:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Beende einen Watch-Kanal
+   */
+  async stopChannel(channel) {
+    try {
+      await this.drive.channels.stop({
+        requestBody: { id: channel.id, resourceId: channel.resourceId }
+      });
+    } catch (error) {
+      Logger.error(`Fehler beim Beenden des Watch-Kanals ${channel.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Liste alle Änderungen seit einem Page Token (über alle Seiten)
+   * Liefert { changes, newStartPageToken }
+   */
+  async listChanges(pageToken) {
+    try {
+      const changes = [];
+      let token = pageToken;
+      let newStartPageToken = null;
+
+      while (token) {
+        const response = await this.drive.changes.list({
+          pageToken: token,
+          pageSize: 1000,
+          includeRemoved: true,
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true,
+          ...(this.driveId ? { driveId: this.driveId } : {}),
+          fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed))'
+        });
+
+        changes.push(...(response.data.changes || []));
+        token = response.data.nextPageToken;
+        newStartPageToken = response.data.newStartPageToken || newStartPageToken;
+      }
+
+      return { changes, newStartPageToken };
+    } catch (error) {
+      Logger.error('Fehler beim Abrufen der Änderungen:', error.message);
+      throw error;
+    }
   }
 
   /**
-   * Liste alle Unterordner im Hauptordner
+   * Liste alle Unterordner und die Steuerdateien (_config) eines Ordners mit einer Abfrage
+   * Liefert { folders, controlFiles }
    */
-  async listFolders(parentFolderId) {
+  async listFolderEntries(parentFolderId) {
     try {
       Logger.debug(`Liste Ordner in: ${parentFolderId}`);
-      
-      const response = await this.drive.files.list({
-        q: `'${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-        fields: 'files(id, name, modifiedTime)',
+
+      const configNames = FOLDER_CONFIG_NAMES.map(name => `name = '${name}'`).join(' or ');
+      const entries = await this.listAllFiles({
+        q: `'${parentFolderId}' in parents and (mimeType='application/vnd.google-apps.folder' or ${configNames}) and trashed=false`,
+        fields: 'files(id, name, mimeType, modifiedTime)',
         orderBy: 'name'
       });
 
-      return response.data.files || [];
+      return {
+        folders: entries.filter(entry => entry.mimeType === 'application/vnd.google-apps.folder'),
+        controlFiles: entries.filter(entry => entry.mimeType !== 'application/vnd.google-apps.folder')
+      };
     } catch (error) {
       Logger.error('Fehler beim Auflisten der Ordner:', error.message);
       throw error;
@@ -268,13 +911,11 @@ class DriveService {
     try {
       Logger.debug(`Liste Dateien in Ordner: ${folderId}`);
       
-      const response = await this.drive.files.list({
+      return await this.listAllFiles({
         q: `'${folderId}' in parents and trashed=false`,
-        fields: 'files(id, name, mimeType, modifiedTime)',
+        fields: 'files(id, name, mimeType, modifiedTime, version, md5Checksum, size, webViewLink, lastModifyingUser(displayName))',
         orderBy: 'modifiedTime desc'
       });
-
-      return response.data.files || [];
     } catch (error) {
       Logger.error('Fehler beim Auflisten der Dateien:', error.message);
       throw error;
@@ -300,6 +941,25 @@ class DriveService {
     }
   }
 
+  /**
+   * Lade ein Google Doc als HTML (enthält Überschriften, Formatierung, Listen, Links, Tabellen und Bilder)
+   */
+  async downloadDocHtml(fileId) {
+    try {
+      Logger.debug(`Lade Google Doc als HTML: ${fileId}`);
+      
+      const response = await this.drive.files.export({
+        fileId: fileId,
+        mimeType: 'text/html'
+      }, { responseType: 'text' });
+
+      return response.data;
+    } catch (error) {
+      Logger.error(`Fehler beim HTML-Download von Doc ${fileId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Lade den Inhalt eines Google Sheets als CSV
    */
@@ -319,6 +979,44 @@ class DriveService {
     }
   }
 
+  /**
+   * Lade alle (sichtbaren) Tabellenblätter eines Google Sheets über die Sheets API
+   * Liefert [{ title, rows }] mit den formatierten Zellwerten
+   */
+  async downloadSheetTabs(fileId) {
+    try {
+      Logger.debug(`Lade Tabellenblätter von Google Sheet: ${fileId}`);
+
+      const metadata = await this.sheets.spreadsheets.get({
+        spreadsheetId: fileId,
+        fields: 'sheets(properties(title,hidden))'
+      });
+
+      const titles = (metadata.data.sheets || [])
+        .map(sheet => sheet.properties)
+        .filter(properties => !properties.hidden)
+        .map(properties => properties.title);
+
+      if (titles.length === 0) {
+        return [];
+      }
+
+      const response = await this.sheets.spreadsheets.values.batchGet({
+        spreadsheetId: fileId,
+        ranges: titles.map(title => `'${title.replace(/'/g, "''")}'`),
+        valueRenderOption: 'FORMATTED_VALUE'
+      });
+
+      return titles.map((title, index) => ({
+        title,
+        rows: (response.data.valueRanges[index] && response.data.valueRanges[index].values) || []
+      }));
+    } catch (error) {
+      Logger.error(`Fehler beim Laden der Tabellenblätter von Sheet ${fileId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Lade ein Bild herunter
    */
@@ -328,7 +1026,8 @@ class DriveService {
       
       const response = await this.drive.files.get({
         fileId: fileId,
-        alt: 'media'
+        alt: 'media',
+        supportsAllDrives: true
       }, { responseType: 'arraybuffer' });
 
       return Buffer.from(response.data);
@@ -339,53 +1038,341 @@ class DriveService {
   }
 
   /**
-   * Ermittle das neueste Änderungsdatum aller Dateien in einem Ordner
+   * Lade eine (hochgeladene) Datei unverändert herunter
    */
-  async getLatestModifiedTime(folderId) {
+  async downloadFile(fileId) {
     try {
-      const files = await this.listFiles(folderId);
-      
-      if (files.length === 0) {
-        return null;
-      }
+      Logger.debug(`Lade Datei: ${fileId}`);
 
-      // Finde die neueste Änderung
-      const latestFile = files.reduce((latest, file) => {
-        const fileTime = new Date(file.modifiedTime);
-        const latestTime = new Date(latest.modifiedTime);
-        return fileTime > latestTime ? file : latest;
-      }, files[0]);
+      const response = await this.drive.files.get({
+        fileId: fileId,
+        alt: 'media',
+        supportsAllDrives: true
+      }, { responseType: 'arraybuffer' });
 
-      return new Date(latestFile.modifiedTime);
+      return Buffer.from(response.data);
     } catch (error) {
-      Logger.error('Fehler beim Ermitteln des neuesten Datums:', error.message);
+      Logger.error(`Fehler beim Download von Datei ${fileId}:`, error.message);
       throw error;
     }
   }
-}
 
-// ========================================
-// Content Processor
+  /**
+   * Exportiere eine Google-Datei in ein anderes Format (z.B. Slides als PDF oder Text)
+   */
+  async exportFile(fileId, mimeType) {
+    try {
+      Logger.debug(`Exportiere Datei ${fileId} als ${mimeType}`);
+
+      const response = await this.drive.files.export({
+        fileId: fileId,
+        mimeType: mimeType
+      }, { responseType: 'arraybuffer' });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      Logger.error(`Fehler beim Export von Datei ${fileId} (${mimeType}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Lade ein in ein Google Doc eingebettetes Bild (URL aus dem HTML-Export oder data:-URI)
+   * Liefert { buffer, mimeType }
+   */
+  async downloadEmbeddedImage(url) {
+    try {
+      const dataUri = url.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+      if (dataUri) {
+        return {
+          buffer: Buffer.from(dataUri[2] ? dataUri[3] : decodeURIComponent(dataUri[3]), dataUri[2] ? 'base64' : 'utf-8'),
+          mimeType: dataUri[1]
+        };
+      }
+
+      Logger.debug(`Lade eingebettetes Bild: ${url.slice(0, 80)}...`);
+      const response = await axios.get(url, { responseType: 'arraybuffer' });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: (response.headers['content-type'] || 'image/png').split(';')[0].trim()
+      };
+    } catch (error) {
+      Logger.error('Fehler beim Download eines eingebetteten Bildes:', error.message);
+      throw error;
+    }
+  }
+}
+
+// ========================================
+// LLM Provider (Gemini, OpenAI-kompatibel, Passthrough)
 // ========================================
 
-class ContentProcessor {
-  constructor(googleApiKey, geminiModelName, geminiSystemPrompt) {
-    this.genAI = new GoogleGenerativeAI(googleApiKey);
-    
-    const modelConfig = {
-      model: geminiModelName,
+/**
+ * Google Gemini über @google/generative-ai
+ */
+class GeminiProvider {
+  constructor(apiKey, modelName, { temperature, maxTokens }) {
+    this.name = 'gemini';
+    this.modelName = modelName;
+    this.apiKey = apiKey;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({
+      model: modelName,
       generationConfig: {
-        temperature: 0.7,
+        temperature: temperature,
         topK: 40,
         topP: 0.95,
-        maxOutputTokens: 16384,
+        maxOutputTokens: maxTokens,
       }
-    };
-    
-    this.model = this.genAI.getGenerativeModel(modelConfig);
-    this.systemPrompt = geminiSystemPrompt;
+    });
+  }
+
+  /**
+   * Erzeuge Text aus System-Prompt und Prompt
+   */
+  async generate({ systemPrompt, prompt }) {
+    if (!this.apiKey) {
+      throw new Error('Kein API Key für Gemini: LLM_API_KEY oder GOOGLE_API_KEY setzen (Service Account und OAuth gelten nur für Google Drive)');
+    }
+    const result = await this.model.generateContent(`${systemPrompt}\n${prompt}`);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+/**
+ * Beliebiger OpenAI-kompatibler Chat-Completions Endpoint (OpenAI, Ollama, llama.cpp, vLLM, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor(apiUrl, apiKey, modelName, { temperature, maxTokens }) {
+    this.name = 'openai';
+    this.modelName = modelName;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.client = axios.create({
+      baseURL: apiUrl.replace(/\/+$/, ''),
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+    });
+  }
+
+  /**
+   * Erzeuge Text aus System-Prompt und Prompt
+   */
+  async generate({ systemPrompt, prompt }) {
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: this.modelName,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: prompt }
+        ],
+        temperature: this.temperature,
+        max_tokens: this.maxTokens
+      });
+
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error('Leere Antwort vom OpenAI-kompatiblen Endpoint');
+      }
+      // Tool-Aufrufe und Ablehnungen liefern keinen Text (content: null)
+      if (typeof choice.message.content !== 'string' || choice.message.content.trim() === '') {
+        const reason = choice.message.refusal ? `Ablehnung: ${choice.message.refusal}` : `finish_reason: ${choice.finish_reason || 'unbekannt'}`;
+        throw new Error(`Keine Textantwort vom OpenAI-kompatiblen Endpoint (${reason})`);
+      }
+      return choice.message.content;
+    } catch (error) {
+      if (error.response) {
+        Logger.error('LLM Antwort:', error.response.data);
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Passthrough ohne KI: gibt den Rohinhalt unverändert zurück
+ * Mit LLM_PROVIDER=none werden Ordner deterministisch konvertiert (siehe shouldUseAi), der Provider wird dabei nicht aufgerufen
+ */
+class PassthroughProvider {
+  constructor() {
+    this.name = 'none';
+    this.modelName = 'passthrough';
+  }
+
+  async generate({ rawContent }) {
+    return rawContent;
+  }
+}
+
+/**
+ * Erstelle den konfigurierten LLM Provider
+ */
+function createLlmProvider(config) {
+  const options = {
+    temperature: config.llmTemperature,
+    maxTokens: config.llmMaxTokens
+  };
+
+  switch (config.llmProvider) {
+    case 'gemini':
+      return new GeminiProvider(config.llmApiKey || config.googleApiKey, config.llmModel, options);
+    case 'openai':
+      if (!config.llmApiUrl) {
+        throw new Error('LLM_PROVIDER=openai benötigt LLM_API_URL (z.B. http://localhost:11434/v1)');
+      }
+      return new OpenAICompatibleProvider(config.llmApiUrl, config.llmApiKey, config.llmModel, options);
+    case 'none':
+      return new PassthroughProvider();
+    default:
+      throw new Error(`Unbekannter LLM_PROVIDER: ${config.llmProvider} (erlaubt: gemini, openai, none)`);
+  }
+}
+
+// ========================================
+// Markdown Validator
+// ========================================
+
+/**
+ * Prüft die von der KI erzeugte Seite, bevor sie geschrieben wird
+ */
+class MarkdownValidator {
+  /**
+   * Bereinige offensichtliche Formfehler ohne Inhaltsänderung
+   * (z.B. die gesamte Ausgabe in einem ```markdown Codeblock)
+   */
+  normalize(content) {
+    let result = (content || '').trim();
+
+    const fenced = result.match(/^(`{3,}|~{3,})\s*(?:markdown|md)?\s*\n([\s\S]*?)\n\1\s*$/i);
+    if (fenced) {
+      Logger.debug('Entferne umschließenden Codeblock aus der KI-Ausgabe');
+      result = fenced[2].trim();
+    }
+
+    return result;
+  }
+
+  /**
+   * Validiere eine Markdown-Seite
+   * @param {string} content - Markdown inkl. Frontmatter
+   * @param {object} options
+   * @param {string[]} options.allowedImages - Bildpfade, die in der Seite vorkommen dürfen
+   * @returns {string[]} Liste der Fehler (leer = gültig)
+   */
+  validate(content, { allowedImages = [], requiredPlaceholders = [] } = {}) {
+    const errors = [];
+
+    // Frontmatter
+    const frontmatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    let body = content;
+
+    if (!frontmatter) {
+      errors.push('YAML-Frontmatter fehlt oder ist nicht geschlossen (die Seite muss mit --- beginnen)');
+    } else {
+      body = content.slice(frontmatter[0].length);
+      errors.push(...this.validateFrontmatter(frontmatter[1]));
+    }
+
+    // Codeblöcke werden für die Überschriften-Prüfung ignoriert
+    const bodyWithoutCode = body.replace(/^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1[ \t]*$/gm, '');
+
+    const h1Count = (bodyWithoutCode.match(/^#[ \t]+\S/gm) || []).length;
+    if (h1Count !== 1) {
+      errors.push(`Die Seite muss genau eine H1-Überschrift (# ...) enthalten, gefunden: ${h1Count}`);
+    }
+
+    // Prompt-Marker dürfen nicht in der Ausgabe landen
+    const markers = [...new Set(content.match(/\[(?:ESCAPED_)?(?:START|STOP|DATA|END):[^\]\n]*\]?|===(?:ESCAPED_)?(?:SECTION|END):\w*/g) || [])];
+    if (markers.length > 0) {
+      errors.push(`Prompt-Marker in der Ausgabe: ${markers.slice(0, 5).join(', ')}`);
+    }
+
+    // Nur bekannte Bilder verwenden
+    const allowed = new Set(allowedImages);
+    for (const imagePath of this.extractImageReferences(body)) {
+      if (!allowed.has(imagePath)) {
+        errors.push(`Unbekanntes Bild referenziert: ${imagePath}`);
+      }
+    }
+
+    // Platzhalter geschützter Bereiche müssen erhalten bleiben
+    for (const placeholder of requiredPlaceholders) {
+      if (!content.includes(placeholder)) {
+        errors.push(`Platzhalter eines geschützten Bereichs fehlt: ${placeholder} (muss unverändert in einer eigenen Zeile stehen)`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Prüfe, ob das Frontmatter gültiges YAML ist und title, description und tags enthält
+   */
+  validateFrontmatter(yamlSource) {
+    let data;
+    try {
+      data = YAML.parse(yamlSource);
+    } catch (error) {
+      return [`YAML-Frontmatter ist ungültig: ${error.message.split('\n')[0]}`];
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['YAML-Frontmatter muss ein Objekt mit title, description und tags sein'];
+    }
+
+    const errors = [];
+    if (typeof data.title !== 'string' || !data.title.trim()) {
+      errors.push('Frontmatter: "title" fehlt oder ist leer');
+    }
+    if (typeof data.description !== 'string' || !data.description.trim()) {
+      errors.push('Frontmatter: "description" fehlt oder ist leer');
+    }
+    if (!Array.isArray(data.tags)) {
+      errors.push('Frontmatter: "tags" fehlt oder ist keine Liste');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Finde alle Bildreferenzen (Markdown und <img>) in einem Text
+   */
+  extractImageReferences(content) {
+    const references = [];
+
+    // Ziel in spitzen Klammern darf Leerzeichen enthalten: ![alt](<pfad mit leerzeichen.png>)
+    for (const match of (content || '').matchAll(/!\[[^\]]*\]\(\s*(?:<([^>\n]+)>|([^)\s]+))(?:\s+["'][^"']*["'])?\s*\)/g)) {
+      references.push(match[1] || match[2]);
+    }
+    for (const match of (content || '').matchAll(/<img\b[^>]*\bsrc=["']([^"']+)["']/gi)) {
+      references.push(match[1]);
+    }
+
+    return references;
+  }
+}
+
+// ========================================
+// Content Processor
+// ========================================
+
+/**
+ * Geschützte Bereiche in generierten Seiten (Vue-Komponenten, Container, handgeschriebene Abschnitte)
+ * Sie werden vor der KI durch Platzhalter ersetzt und danach unverändert wieder eingesetzt
+ */
+const KEEP_REGION_PATTERN = /<!--\s*sync:keep start\s*-->[\s\S]*?<!--\s*sync:keep end\s*-->/g;
+
+class ContentProcessor {
+  constructor(llmProvider, systemPrompt, { maxRepairAttempts = 2, requireKeepRegions = false } = {}) {
+    this.llmProvider = llmProvider;
+    this.systemPrompt = systemPrompt;
+    this.maxRepairAttempts = maxRepairAttempts;
+    this.requireKeepRegions = requireKeepRegions; // Fehlende Platzhalter geschützter Bereiche als Validierungsfehler
+    this.lastRepairAttempts = 0; // Reparaturversuche der letzten Transformation (für die MR-Beschreibung)
+    this.validator = new MarkdownValidator();
     
-    Logger.debug(`ContentProcessor initialisiert mit Modell: ${geminiModelName}`);
+    Logger.debug(`ContentProcessor initialisiert mit Provider: ${llmProvider.name} (Modell: ${llmProvider.modelName})`);
   }
 
   /**
@@ -408,8 +1395,9 @@ class ContentProcessor {
 
   /**
    * Transformiere rohen Text mit KI zu Markdown
+   * Der System-Prompt kann pro Aufruf ersetzt werden (Steuerdatei des Ordners)
    */
-  async transformToMarkdown(rawContent, images, existingContent, contextDocuments = []) {
+  async transformToMarkdown(rawContent, images, existingContent, contextDocuments = [], { systemPrompt = this.systemPrompt } = {}) {
     try {
       Logger.debug('Starte KI-Transformation...');
 
@@ -429,7 +1417,7 @@ class ContentProcessor {
 
       // Erstelle Bildliste
       const imageList = images.length > 0 
-        ? `\n\n[DATA:VERFUEGBARE_BILDER]\n${images.map(img => `- ${img.name} → ${img.path}`).join('\n')}\n[END:VERFUEGBARE_BILDER]`
+        ? `\n\n[DATA:VERFUEGBARE_BILDER]\n${this.formatImageList(images)}\n[END:VERFUEGBARE_BILDER]`
         : '';
 
       // Escape den Inhalt aus externen Quellen
@@ -444,19 +1432,54 @@ class ContentProcessor {
       // Neuer Inhalt Block
       const newContentBlock = `\n\n[DATA:NEUER_INHALT]\n[START:CONTENT]\n${escapedRawContent}\n[STOP:CONTENT]\n[END:NEUER_INHALT]`;
 
-      const fullPrompt = `${this.systemPrompt}
-${contextBlock}
+      // Hinweis auf Platzhalter (z.B. geschützte Tabellen), die unverändert bleiben müssen
+      const placeholderBlock = /<!-- sync:[\w:-]+ -->/.test(`${rawContent}\n${existingContent || ''}`)
+        ? '\n\n[DATA:PLATZHALTER]\nKommentare der Form <!-- sync:... --> sind Platzhalter für Inhalte, die später automatisch eingesetzt werden. Übernimm jeden Platzhalter exakt und unverändert in einer eigenen Zeile an der passenden Stelle.\n[END:PLATZHALTER]'
+        : '';
+
+      const prompt = `${contextBlock}
 ${existingContentBlock}
 ${newContentBlock}
-${imageList}`;
+${imageList}${placeholderBlock}`;
 
-      Logger.debug(`Prompt-Länge: ${fullPrompt.length} Zeichen`);
+      Logger.debug(`Prompt-Länge: ${systemPrompt.length + prompt.length} Zeichen`);
       Logger.debug(`Context-Dokumente: ${contextDocuments.length}`);
-      Logger.debug(`Verwende System-Prompt: ${this.systemPrompt.substring(0, 250)}...`);
+      Logger.debug(`Verwende System-Prompt: ${systemPrompt.substring(0, 250)}...`);
+
+      let transformedContent = this.validator.normalize(await this.llmProvider.generate({
+        systemPrompt,
+        prompt,
+        rawContent
+      }));
+
+      // Validieren und ggf. von der KI reparieren lassen
+      // Erlaubt sind nur die gespeicherten Bilder des Ordners (nicht beliebige Pfade aus Roh- oder Bestandsinhalt)
+      const allowedImages = images.flatMap(img => img.fallbackPath ? [img.path, img.fallbackPath] : [img.path]);
+      // Platzhalter geschützter Bereiche (KEEP_REGION_MISSING=error)
+      const requiredPlaceholders = this.requireKeepRegions
+        ? [...new Set((existingContent || '').match(/<!-- sync:keep:\d+ -->/g) || [])]
+        : [];
+      let errors = this.validator.validate(transformedContent, { allowedImages, requiredPlaceholders });
+      this.lastRepairAttempts = 0;
+
+      for (let attempt = 1; errors.length > 0 && attempt <= this.maxRepairAttempts; attempt++) {
+        this.lastRepairAttempts = attempt;
+        Logger.info(`  KI-Ausgabe ungültig (${errors.length} Fehler), Reparaturversuch ${attempt}/${this.maxRepairAttempts}...`);
+        errors.forEach(error => Logger.debug(`    - ${error}`));
+
+        transformedContent = this.validator.normalize(await this.llmProvider.generate({
+          systemPrompt,
+          prompt: this.buildRepairPrompt(transformedContent, errors, images),
+          rawContent
+        }));
+        errors = this.validator.validate(transformedContent, { allowedImages, requiredPlaceholders });
+      }
 
-      const result = await this.model.generateContent(fullPrompt);
-      const response = await result.response;
-      const transformedContent = response.text();
+      if (errors.length > 0) {
+        const error = new Error(`KI-Ausgabe ungültig: ${errors.join('; ')}`);
+        error.validationErrors = errors;
+        throw error;
+      }
 
       Logger.success('KI-Transformation abgeschlossen');
       return transformedContent;
@@ -466,698 +1489,4611 @@ ${imageList}`;
     }
   }
 
+  /**
+   * Erstelle die Reparatur-Anfrage mit der fehlerhaften Ausgabe und den Validierungsfehlern
+   */
+  buildRepairPrompt(invalidContent, errors, images) {
+    const imageList = images.length > 0
+      ? `\n\n[DATA:VERFUEGBARE_BILDER]\n${this.formatImageList(images)}\n[END:VERFUEGBARE_BILDER]`
+      : '\n\n[DATA:VERFUEGBARE_BILDER]\nEs sind keine Bilder verfügbar. Entferne alle Bildreferenzen.\n[END:VERFUEGBARE_BILDER]';
+
+    return `
+[DATA:REPARATUR]
+Deine letzte Ausgabe hat die automatische Prüfung nicht bestanden.
+Behebe ALLE unten aufgeführten Fehler und gib die vollständige, korrigierte Seite aus.
+Ändere darüber hinaus nichts am Inhalt.
+[END:REPARATUR]
+
+[DATA:FEHLER]
+${errors.map(error => `- ${error}`).join('\n')}
+[END:FEHLER]
+
+[DATA:FEHLERHAFTE_AUSGABE]
+[START:MARKDOWN]
+${this.escapeForPrompt(invalidContent)}
+[STOP:MARKDOWN]
+[END:FEHLERHAFTE_AUSGABE]${imageList}`;
+  }
+
+  /**
+   * Erstelle eine Markdown-Seite ohne KI (konvertierter Inhalt mit Frontmatter und Bildern)
+   */
+  createPlainMarkdown(title, rawContent, images) {
+    // Eingebettete Bilder stehen bereits an ihrer Position im Text
+    const galleryImages = images.filter(img => !img.inline);
+    const imageBlock = galleryImages.length > 0
+      ? `\n\n## Bilder\n\n${galleryImages.map(img => this.renderImage(img, img.name)).join('\n\n')}`
+      : '';
+
+    return `---
+title: ${JSON.stringify(title)}
+---
+
+# ${title}
+
+${rawContent.trim()}${imageBlock}`;
+  }
+
+  /**
+   * Erzeuge das Markup für ein Bild
+   * Mit bekannten Abmessungen als <img> mit width/height (kein Layout-Shift),
+   * mit Fallback-Datei als <picture>, sonst als einfaches Markdown-Bild
+   */
+  renderImage(image, altText) {
+    if (!image.width || !image.height) {
+      return `![${altText}](${image.path})`;
+    }
+
+    const alt = altText.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    const attributes = `alt="${alt}" width="${image.width}" height="${image.height}" loading="lazy"`;
+
+    if (image.fallbackPath) {
+      const type = { '.webp': 'image/webp', '.avif': 'image/avif' }[path.extname(image.path)];
+      return `<picture><source srcset="${image.path}" type="${type}"><img src="${image.fallbackPath}" ${attributes}></picture>`;
+    }
+    return `<img src="${image.path}" ${attributes}>`;
+  }
+
+  /**
+   * Erstelle die Bildliste für den Prompt (inkl. Abmessungen und fertigem Markup)
+   */
+  formatImageList(images) {
+    return images
+      .map(img => img.inline
+        ? `- ${img.name} → ${img.path} (bereits an seiner Position im Inhalt eingebunden)`
+        : img.width
+        ? `- ${img.name} → ${img.path} (${img.width}×${img.height} px), einbinden als: ${this.renderImage(img, 'Beschreibender Alt-Text')}`
+        : `- ${img.name} → ${img.path}`)
+      .join('\n');
+  }
+
   /**
    * Erstelle Metadaten-Block für die Markdown-Datei
+   * Pro Quelldatei wird ein Datensatz (ID, Version, md5Checksum/modifiedTime, Inhalts-Hash) gespeichert
    */
-  createMetadataComment(files, timestamp) {
-    const fileList = [...files]
-          .sort((a, b) => a.name.localeCompare(b.name))
-          .map(f => `${f.name} (${f.id})`)
+  createMetadataComment(records, timestamp, folderId, { contentHash = null, generatedContent = null, configHash = null } = {}) {
+    const sortedRecords = [...records].sort((a, b) => a.name.localeCompare(b.name));
+    // "--" darf in HTML-Kommentaren nicht vorkommen
+    const fileList = sortedRecords
+          .map(f => `${f.name.replace(/-{2,}/g, '-')} (${f.id})`)
           .join(', ');
+    const recordLines = sortedRecords
+          .map(record => JSON.stringify({
+            id: record.id,
+            name: record.name,
+            mimeType: record.mimeType,
+            version: record.version || null,
+            modifiedTime: record.modifiedTime || null,
+            md5Checksum: record.md5Checksum || null,
+            contentHash: record.contentHash || null
+          }).replace(/--/g, '-\\u002d'))
+          .join('\n');
     return `<!--
 SYNC_METADATA:
+folder_id: ${folderId}
 last_sync: ${timestamp.toISOString()}
-source_files: ${fileList}
+source_files: ${fileList}${contentHash ? `\ncontent_hash: ${contentHash}` : ''}${configHash ? `\nconfig_hash: ${configHash}` : ''}${generatedContent ? `\ngenerated_base: ${zlib.deflateRawSync(generatedContent).toString('base64')}` : ''}
+source_records:
+${recordLines}
 -->
 
 `;
   }
 
+  /**
+   * Hash über den Seiteninhalt ohne Metadaten (erkennt manuelle Änderungen an generierten Seiten)
+   */
+  hashContent(content) {
+    // Geschützte Bereiche dürfen frei bearbeitet werden und zählen nicht als manuelle Änderung,
+    // Leerzeilen und Leerzeichen am Zeilenende ebenfalls nicht
+    const normalized = content
+      .replace(/<!--\s*SYNC_METADATA:.*?-->/s, '')
+      .replace(KEEP_REGION_PATTERN, '')
+      .replace(/\r\n/g, '\n')
+      .replace(/[ \t]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    return `sha256:${crypto.createHash('sha256').update(normalized).digest('hex')}`;
+  }
+
+  /**
+   * Ersetze Asset-Links einer Seite (z.B. nach dem Umbenennen des Ordners) samt Metadaten
+   * Der content_hash wird nur bei unveränderten Seiten neu berechnet, damit manuelle Änderungen erkennbar bleiben
+   */
+  replaceAssetUrls(content, fromUrl, toUrl) {
+    const replace = text => text.split(fromUrl).join(toUrl);
+    const match = content.match(/<!--\s*SYNC_METADATA:.*?-->/s);
+    const metadata = match ? this.extractMetadata(content) : null;
+    if (!metadata) {
+      return replace(content);
+    }
+
+    const unchanged = metadata.contentHash && this.hashContent(content) === metadata.contentHash;
+    const rewritten = replace(content.slice(0, match.index)) + match[0] + replace(content.slice(match.index + match[0].length));
+    let block = match[0];
+    if (unchanged) {
+      block = block.replace(/^content_hash: .*$/m, () => `content_hash: ${this.hashContent(rewritten)}`);
+    }
+    if (metadata.generatedBase) {
+      block = block.replace(/^generated_base: .*$/m, () => `generated_base: ${zlib.deflateRawSync(replace(metadata.generatedBase)).toString('base64')}`);
+    }
+
+    return rewritten.replace(match[0], () => block);
+  }
+
+  /**
+   * Lies das YAML-Frontmatter einer Markdown-Datei (null, wenn keins vorhanden oder ungültig)
+   */
+  extractFrontmatter(content) {
+    const withoutMetadata = content.replace(/<!--\s*SYNC_METADATA:.*?-->/s, '').trim();
+    const match = withoutMetadata.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      const data = YAML.parse(match[1]);
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (error) {
+      Logger.debug(`Ungültiges Frontmatter: ${error.message.split('\n')[0]}`);
+      return null;
+    }
+  }
+
+  /**
+   * Setze Frontmatter-Felder (Vorgaben aus der Steuerdatei überschreiben die Ausgabe)
+   * Ohne Frontmatter wird eins vorangestellt
+   */
+  applyFrontmatter(content, overrides) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    const document = YAML.parseDocument(match ? match[1] : '');
+
+    if (document.errors.length > 0 || (document.contents && !YAML.isMap(document.contents))) {
+      Logger.error('  Frontmatter-Vorgaben nicht anwendbar, Frontmatter ist ungültig');
+      return content;
+    }
+
+    for (const [key, value] of Object.entries(overrides)) {
+      document.set(key, value);
+    }
+
+    const frontmatter = `---\n${document.toString().trimEnd()}\n---\n`;
+    return match ? frontmatter + content.slice(match[0].length) : `${frontmatter}\n${content}`;
+  }
+
   /**
    * Extrahiere Metadaten aus einer Markdown-Datei
    */
   extractMetadata(content) {
-    const metadataRegex = /<!--\s*SYNC_METADATA:\s*last_sync:\s*(.+?)\s*source_files:\s*(.+?)\s*-->/s;
-    const match = content.match(metadataRegex);
+    const match = content.match(/<!--\s*SYNC_METADATA:(.*?)-->/s);
 
-    if (match) {
-      return {
-        lastSync: new Date(match[1]),
-        sourceFiles: match[2]
-      };
+    if (!match) {
+      return null;
     }
 
-    return null;
+    // Zeilenweise "schluessel: wert" Paare und JSON-Datensätze (source_records) einlesen
+    const values = {};
+    const records = [];
+    for (const line of match[1].split('\n')) {
+      if (line.trim().startsWith('{')) {
+        try {
+          records.push(JSON.parse(line.trim()));
+        } catch (error) {
+          Logger.debug(`Ungültiger Metadaten-Datensatz: ${line.trim()}`);
+        }
+        continue;
+      }
+
+      const pair = line.match(/^\s*([a-z_]+):\s*(.*?)\s*$/);
+      if (pair) {
+        values[pair[1]] = pair[2];
+      }
+    }
+
+    if (!values.last_sync) {
+      return null;
+    }
+
+    const sourceFiles = values.source_files || '';
+    const sourceFileIds = [...sourceFiles.matchAll(/\(([\w-]+)\)(?=,|$)/g)].map(m => m[1]);
+
+    return {
+      folderId: values.folder_id || null,
+      lastSync: new Date(values.last_sync),
+      sourceFiles,
+      sourceFileIds,
+      // Ältere Seiten haben noch keine Datensätze pro Datei
+      sourceRecords: 'source_records' in values ? records : null,
+      // Hash des geschriebenen Inhalts (ältere Seiten: null)
+      contentHash: values.content_hash || null,
+      // Hash der inhaltsrelevanten Einstellungen aus der Steuerdatei
+      configHash: values.config_hash || null,
+      // Reine Generator-Ausgabe, falls manuelle Änderungen eingearbeitet wurden
+      generatedBase: values.generated_base ? this.decodeGeneratedBase(values.generated_base) : null
+    };
+  }
+
+  /**
+   * Entpacke die gespeicherte Generator-Ausgabe (null, wenn beschädigt)
+   */
+  decodeGeneratedBase(encoded) {
+    try {
+      return zlib.inflateRawSync(Buffer.from(encoded, 'base64')).toString('utf-8');
+    } catch (error) {
+      Logger.debug(`Ungültige generated_base in Metadaten: ${error.message}`);
+      return null;
+    }
   }
 }
 
 // ========================================
-// Git Service
+// Google Docs → Markdown Konverter
 // ========================================
 
-class GitService {
-  constructor(repoPath, gitAccessToken, userName, userEmail) {
-    this.repoPath = repoPath;
-    this.gitAccessToken = gitAccessToken;
-    this.remoteName = 'origin'; // Wird zu 'sync-origin' wenn Token vorhanden
+/**
+ * Deterministische Umwandlung des HTML-Exports eines Google Docs in VitePress-Markdown
+ * Erhält Überschriften-Ebenen, Fett/Kursiv/Durchgestrichen, (verschachtelte) Listen,
+ * Links, Tabellen und eingebettete Bilder - ganz ohne KI.
+ */
+class DocsMarkdownConverter {
+  /**
+   * Wandle HTML in Markdown um
+   * @param {string} html - HTML-Export des Google Docs
+   * @param {object} options
+   * @param {number} options.headingOffset - Verschiebung der Überschriften-Ebenen (1: H1 → H2)
+   * @param {function} options.resolveImage - (src, alt) => Bild ({ path, width, height, ... }) oder null zum Weglassen
+   * @param {function} options.renderImage - (image, alt) => Markup für das Bild
+   */
+  convert(html, {
+    headingOffset = 0,
+    resolveImage = (src) => ({ path: src }),
+    renderImage = (image, alt) => `![${alt}](${image.path})`
+  } = {}) {
+    const root = parseHtml(html);
+    const body = root.querySelector('body') || root;
+
+    const context = {
+      classStyles: this.parseClassStyles(root),
+      headingOffset,
+      resolveImage,
+      renderImage,
+      listIndents: [],
+      inTable: false
+    };
 
-    // Git-Config für Benutzer (wird für Commits benötigt)
-    const gitConfig = [
-      `user.name=${userName}`,
-      `user.email=${userEmail}`
-    ];
+    const blocks = this.convertBlocks(body.childNodes, context);
 
-    if (gitAccessToken) {
-      const authString = Buffer.from(`oauth2:${gitAccessToken}`).toString('base64');
-      gitConfig.push(`http.extraHeader=Authorization: Basic ${authString}`);
-    }
-    
-    this.git = simpleGit(repoPath, {
-      config: gitConfig,
+    // Aufeinanderfolgende Listeneinträge ohne Leerzeile, alle anderen Blöcke mit Leerzeile trennen
+    let markdown = '';
+    blocks.forEach((block, index) => {
+      if (index > 0) {
+        markdown += block.type === 'list' && blocks[index - 1].type === 'list' ? '\n' : '\n\n';
+      }
+      markdown += block.text;
     });
-    
-    Logger.debug(`GitService initialisiert${gitAccessToken ? ' (mit Token-Auth)' : ''} (User: ${userName} <${userEmail}>)`);
+
+    return markdown.replace(/\n{3,}/g, '\n\n').trim();
   }
-  
+
   /**
-   * Erstelle einen dedizierten HTTPS Remote für Token-Auth
-   * Lässt origin unverändert und erstellt sync-origin mit HTTPS URL (OHNE Token)
-   * Token wird über Environment Variables (GIT_PASSWORD) zur Laufzeit genutzt
+   * Lies die CSS-Klassen aus dem <style> Block (Google Docs formatiert über Klassen wie .c3{font-weight:700})
    */
-  async ensureSyncRemote() {
-    try {
-      if (!this.gitAccessToken) {
-        return; // Kein Token = nutze origin direkt
+  parseClassStyles(root) {
+    const classStyles = {};
+
+    for (const styleElement of root.querySelectorAll('style')) {
+      const css = styleElement.text;
+      for (const rule of css.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+        classStyles[rule[1]] = { ...classStyles[rule[1]], ...this.parseStyleDeclarations(rule[2]) };
       }
-      
+    }
+
+    return classStyles;
+  }
+
+  /**
+   * Ermittle die für Markdown relevanten Formatierungen aus CSS-Deklarationen
+   */
+  parseStyleDeclarations(css) {
+    const style = {};
+    if (!css) return style;
+
+    const weight = css.match(/font-weight\s*:\s*(\w+)/);
+    if (weight) style.bold = weight[1] === 'bold' || parseInt(weight[1], 10) >= 600;
+
+    const fontStyle = css.match(/font-style\s*:\s*(\w+)/);
+    if (fontStyle) style.italic = fontStyle[1] === 'italic';
+
+    const decoration = css.match(/text-decoration\s*:\s*([^;]+)/);
+    if (decoration) style.strike = decoration[1].includes('line-through');
+
+    const fontFamily = css.match(/font-family\s*:\s*([^;]+)/);
+    if (fontFamily) style.code = /courier|consolas|mono/i.test(fontFamily[1]);
+
+    return style;
+  }
+
+  /**
+   * Ermittle die Formatierung eines Elements (Klassen + style-Attribut)
+   */
+  getElementStyle(element, context) {
+    const style = {};
+    const classNames = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+
+    for (const className of classNames) {
+      Object.assign(style, context.classStyles[className]);
+    }
+    Object.assign(style, this.parseStyleDeclarations(element.getAttribute('style')));
+
+    return style;
+  }
+
+  /**
+   * Wandle Block-Elemente in eine Liste von { type, text } um
+   */
+  convertBlocks(nodes, context) {
+    const blocks = [];
+
+    for (const node of nodes) {
+      // Textknoten auf Blockebene
+      if (node.nodeType === 3) {
+        const text = this.renderInline([node], context);
+        if (text) blocks.push({ type: 'paragraph', text });
+        continue;
+      }
+      if (node.nodeType !== 1) continue;
+
+      const tag = node.rawTagName.toLowerCase();
+
+      // Listen dürfen nur durch Listen fortgesetzt werden
+      if (tag !== 'ul' && tag !== 'ol') {
+        context.listIndents = [];
+      }
+
+      if (/^h[1-6]$/.test(tag)) {
+        const level = Math.min(6, parseInt(tag[1], 10) + context.headingOffset);
+        const text = this.renderInline(node.childNodes, context, { inHeading: true });
+        if (text) blocks.push({ type: 'heading', text: context.inTable ? `**${text}**` : `${'#'.repeat(level)} ${text}` });
+      } else if (tag === 'p') {
+        const classNames = (node.getAttribute('class') || '').split(/\s+/);
+        const text = this.renderInline(node.childNodes, context, { inHeading: classNames.includes('title') });
+        if (!text) continue;
+
+        if (classNames.includes('title') && !context.inTable) {
+          blocks.push({ type: 'heading', text: `${'#'.repeat(Math.min(6, 1 + context.headingOffset))} ${text}` });
+        } else if (classNames.includes('subtitle')) {
+          blocks.push({ type: 'paragraph', text: `*${text}*` });
+        } else {
+          blocks.push({ type: 'paragraph', text: this.escapeLineStart(text) });
+        }
+      } else if (tag === 'ul' || tag === 'ol') {
+        blocks.push(...this.convertList(node, context, 0));
+      } else if (tag === 'table') {
+        const text = this.convertTable(node, context);
+        if (text) blocks.push({ type: 'table', text });
+      } else if (tag === 'hr') {
+        blocks.push({ type: 'rule', text: '---' });
+      } else if (['head', 'style', 'script', 'meta', 'title'].includes(tag)) {
+        continue;
+      } else if (['div', 'body', 'html', 'section', 'article', 'blockquote'].includes(tag)) {
+        blocks.push(...this.convertBlocks(node.childNodes, context));
+      } else {
+        // Inline-Elemente auf Blockebene (span, a, img, ...)
+        const text = this.renderInline([node], context);
+        if (text) blocks.push({ type: 'paragraph', text });
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Wandle eine Liste um
+   * Google Docs exportiert verschachtelte Listen als flache Geschwister mit Klassen wie "lst-kix_abc-1",
+   * echte HTML-Verschachtelung (ul in li) wird ebenfalls unterstützt
+   */
+  convertList(listElement, context, parentLevel) {
+    const blocks = [];
+    const isOrdered = listElement.rawTagName.toLowerCase() === 'ol';
+    const levelMatch = (listElement.getAttribute('class') || '').match(/lst-[\w]+-(\d+)/);
+    const level = levelMatch ? parseInt(levelMatch[1], 10) : parentLevel;
+    const start = parseInt(listElement.getAttribute('start') || '1', 10) || 1;
+
+    const items = listElement.childNodes.filter(node => node.nodeType === 1 && node.rawTagName.toLowerCase() === 'li');
+
+    items.forEach((item, index) => {
+      const marker = isOrdered ? `${start + index}.` : '-';
+      const inlineNodes = item.childNodes.filter(node => !(node.nodeType === 1 && ['ul', 'ol'].includes(node.rawTagName.toLowerCase())));
+      const text = this.renderInline(inlineNodes, context);
+
+      // Einrückung ergibt sich aus der Marker-Breite der übergeordneten Ebenen
+      const parentIndent = level > 0 ? (context.listIndents[level - 1] || ' '.repeat(2 * level)) : '';
+      const indent = level > 0 ? parentIndent : '';
+      context.listIndents[level] = indent + ' '.repeat(marker.length + 1);
+      context.listIndents.length = level + 1;
+
+      if (context.inTable) {
+        blocks.push({ type: 'list', text: `${isOrdered ? marker : '•'} ${text}` });
+      } else {
+        blocks.push({ type: 'list', text: `${indent}${marker} ${text}` });
+      }
+
+      for (const nested of item.childNodes.filter(node => node.nodeType === 1 && ['ul', 'ol'].includes(node.rawTagName.toLowerCase()))) {
+        blocks.push(...this.convertList(nested, context, level + 1));
+      }
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Wandle eine Tabelle in eine Markdown-Tabelle um (erste Zeile = Kopfzeile)
+   */
+  convertTable(tableElement, context) {
+    const rows = tableElement.querySelectorAll('tr').map(row =>
+      row.childNodes
+        .filter(cell => cell.nodeType === 1 && ['td', 'th'].includes(cell.rawTagName.toLowerCase()))
+        .map(cell => {
+          const cellContext = { ...context, inTable: true, listIndents: [] };
+          return this.convertBlocks(cell.childNodes, cellContext)
+            .map(block => block.text)
+            .join('<br>')
+            .replace(/\n/g, '<br>')
+            .replace(/\|/g, '\\|');
+        })
+    ).filter(row => row.length > 0);
+
+    if (rows.length === 0) return '';
+
+    const columnCount = Math.max(...rows.map(row => row.length));
+    const formatRow = row => `| ${Array.from({ length: columnCount }, (_, i) => row[i] || '').join(' | ')} |`;
+
+    return [
+      formatRow(rows[0]),
+      `|${Array.from({ length: columnCount }, () => '---').join('|')}|`,
+      ...rows.slice(1).map(formatRow)
+    ].join('\n');
+  }
+
+  /**
+   * Sammle formatierte Textabschnitte (Runs) aus Inline-Knoten
+   */
+  collectRuns(nodes, context, style, runs) {
+    for (const node of nodes) {
+      if (node.nodeType === 3) {
+        const text = node.text.replace(/\u00a0/g, ' ').replace(/[ \t\r\n]+/g, ' ');
+        if (text) runs.push({ ...style, text });
+        continue;
+      }
+      if (node.nodeType !== 1) continue;
+
+      const tag = node.rawTagName.toLowerCase();
+
+      if (tag === 'br') {
+        runs.push({ ...style, lineBreak: true, text: '' });
+      } else if (tag === 'img') {
+        const src = node.getAttribute('src');
+        const alt = node.getAttribute('alt') || node.getAttribute('title') || '';
+        const image = src ? context.resolveImage(src, alt) : null;
+        if (image) runs.push({ ...style, image: { ...image, alt }, text: '' });
+      } else if (tag === 'ul' || tag === 'ol' || tag === 'table') {
+        continue; // Blockelemente werden separat verarbeitet
+      } else {
+        const childStyle = { ...style, ...this.getElementStyle(node, context) };
+        if (context.inHeading) {
+          childStyle.bold = false;
+        }
+        if (tag === 'a' && node.getAttribute('href')) {
+          childStyle.link = this.resolveLink(node.getAttribute('href'));
+        }
+        if (tag === 'b' || tag === 'strong') childStyle.bold = !context.inHeading;
+        if (tag === 'i' || tag === 'em') childStyle.italic = true;
+        if (tag === 's' || tag === 'del') childStyle.strike = true;
+        if (tag === 'code') childStyle.code = true;
+
+        this.collectRuns(node.childNodes, context, childStyle, runs);
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Rendere Inline-Knoten zu Markdown
+   */
+  renderInline(nodes, context, { inHeading = false } = {}) {
+    const runs = this.collectRuns(nodes, { ...context, inHeading }, {}, []);
+    const sameFormat = (a, b) => ['bold', 'italic', 'strike', 'code', 'link'].every(key => (a[key] || null) === (b[key] || null));
+
+    // Benachbarte Runs mit gleicher Formatierung zusammenfassen
+    const merged = [];
+    for (const run of runs) {
+      const previous = merged[merged.length - 1];
+      if (previous && !previous.image && !previous.lineBreak && !run.image && !run.lineBreak && sameFormat(previous, run)) {
+        previous.text += run.text;
+      } else {
+        merged.push({ ...run });
+      }
+    }
+
+    // Runs mit gleichem Link gruppieren
+    let markdown = '';
+    let index = 0;
+    while (index < merged.length) {
+      const link = merged[index].link || null;
+      let end = index;
+      while (end < merged.length && (merged[end].link || null) === link) end++;
+
+      const inner = merged.slice(index, end).map(run => this.renderRun(run, context)).join('');
+      markdown += link && inner.trim() ? `[${inner.trim()}](${link})` : inner;
+      index = end;
+    }
+
+    // Zeilenumbrüche innerhalb eines Absatzes als harte Umbrüche ("\" am Zeilenende)
+    return markdown.replace(/ {2,}/g, ' ').replace(/ *\n */g, '\n').trim().replace(/\n/g, '\\\n');
+  }
+
+  /**
+   * Rendere einen einzelnen Run (Text mit Formatierung, Bild oder Zeilenumbruch)
+   */
+  renderRun(run, context) {
+    if (run.lineBreak) {
+      return context.inTable ? '<br>' : '\n';
+    }
+    if (run.image) {
+      return context.renderImage(run.image, run.image.alt.replace(/[[\]]/g, ''));
+    }
+    if (!run.text.trim()) {
+      return run.text;
+    }
+
+    // Leerzeichen außerhalb der Formatierungszeichen halten
+    const [, leading, core, trailing] = run.text.match(/^(\s*)(.*?)(\s*)$/s);
+    let text = run.code ? `\`${core.replace(/`/g, '\'')}\`` : this.escapeText(core);
+
+    if (!run.code) {
+      if (run.strike) text = `~~${text}~~`;
+      if (run.italic) text = `*${text}*`;
+      if (run.bold) text = `**${text}**`;
+    }
+
+    return `${leading}${text}${trailing}`;
+  }
+
+  /**
+   * Entferne die Google-Weiterleitung aus Links (https://www.google.com/url?q=...)
+   * Interne Sprungmarken (#h.xyz) werden als reiner Text übernommen
+   */
+  resolveLink(href) {
+    if (href.startsWith('#')) {
+      return null;
+    }
+
+    try {
+      const url = new URL(href);
+      if (url.hostname === 'www.google.com' && url.pathname === '/url' && url.searchParams.get('q')) {
+        return url.searchParams.get('q');
+      }
+    } catch (error) {
+      // Kein gültiger absoluter Link - unverändert übernehmen
+    }
+
+    return href;
+  }
+
+  /**
+   * Escape Markdown-Sonderzeichen im Fließtext
+   */
+  escapeText(text) {
+    return text.replace(/([\\`*[\]<])/g, '\\$1').replace(/(^|\W)_|_(?=\W|$)/g, (match) => match.replace('_', '\\_'));
+  }
+
+  /**
+   * Verhindere, dass Absätze als Überschrift, Liste oder Zitat interpretiert werden
+   */
+  escapeLineStart(text) {
+    return text
+      .replace(/^(#{1,6}\s|[-+>])/, '\\$1')
+      .replace(/^(\d+)([.)])(\s)/, '$1\\$2$3');
+  }
+}
+
+// ========================================
+// Google Sheets → Markdown Tabellen
+// ========================================
+
+/**
+ * Deterministische Darstellung von Tabellendaten (Sheets API oder CSV) als Markdown-Tabellen
+ */
+class SheetsMarkdownRenderer {
+  /**
+   * Parse CSV (RFC 4180): Felder in Anführungszeichen, verdoppelte Anführungszeichen,
+   * Kommas und Zeilenumbrüche innerhalb von Feldern
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Auch ein leeres Feld in Anführungszeichen ("") am Ende ergibt eine Zeile
+    let quoted = false;
+    const input = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+        quoted = false;
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        quoted = false;
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || quoted || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Rendere Zeilen als Markdown-Tabelle
+   * Ohne Kopfzeile (headerRow=false) werden Spaltenbuchstaben (A, B, C, ...) als Kopf verwendet
+   */
+  renderTable(rows, { headerRow = true } = {}) {
+    const cleaned = this.trimEmpty(rows);
+    if (cleaned.length === 0) {
+      return '';
+    }
+
+    const columnCount = Math.max(...cleaned.map(row => row.length));
+    const normalize = row => Array.from({ length: columnCount }, (_, i) => this.escapeCell(row[i]));
+
+    const header = headerRow
+      ? normalize(cleaned[0])
+      : Array.from({ length: columnCount }, (_, i) => this.columnName(i));
+    const body = (headerRow ? cleaned.slice(1) : cleaned).map(normalize);
+
+    return [
+      `| ${header.join(' | ')} |`,
+      `|${header.map(() => '---').join('|')}|`,
+      ...body.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n');
+  }
+
+  /**
+   * Rendere alle Tabellenblätter, bei mehreren Blättern mit eigener Überschrift pro Blatt
+   */
+  renderTabs(tabs, { headingLevel = 2, headerRow = true } = {}) {
+    const nonEmpty = tabs
+      .map(tab => ({ title: tab.title, table: this.renderTable(tab.rows, { headerRow }) }))
+      .filter(tab => tab.table);
+
+    if (nonEmpty.length === 1) {
+      return nonEmpty[0].table;
+    }
+
+    const heading = '#'.repeat(Math.min(6, headingLevel));
+    return nonEmpty
+      .map(tab => `${heading} ${tab.title}\n\n${tab.table}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Entferne leere Zeilen am Ende und leere Spalten am rechten Rand
+   */
+  trimEmpty(rows) {
+    const isEmpty = value => value === undefined || value === null || String(value).trim() === '';
+    const result = rows.map(row => [...row]);
+
+    while (result.length > 0 && result[result.length - 1].every(isEmpty)) {
+      result.pop();
+    }
+    for (const row of result) {
+      while (row.length > 0 && isEmpty(row[row.length - 1])) {
+        row.pop();
+      }
+    }
+
+    return result.filter((row, index) => row.length > 0 || index < result.length - 1);
+  }
+
+  /**
+   * Escape einer Tabellenzelle: Pipes, Zeilenumbrüche und HTML
+   */
+  escapeCell(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+      .trim()
+      .replace(/\\/g, '\\\\')
+      .replace(/\|/g, '\\|')
+      .replace(/</g, '&lt;')
+      .replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * Hilfsfunktion: Spaltenname im Tabellenkalkulations-Stil (0 → A, 26 → AA)
+   */
+  columnName(index) {
+    let name = '';
+    let n = index + 1;
+    while (n > 0) {
+      const remainder = (n - 1) % 26;
+      name = String.fromCharCode(65 + remainder) + name;
+      n = Math.floor((n - 1) / 26);
+    }
+    return name;
+  }
+}
+
+// ========================================
+// VitePress Navigation
+// ========================================
+
+/**
+ * Erzeugt Sidebar und Navigation für VitePress aus der Drive-Ordnerstruktur
+ * Sortierung über "order" in der Steuerdatei oder Präfixe wie "01-" im Ordnernamen, danach alphabetisch
+ */
+class NavigationGenerator {
+  /**
+   * Baue Sidebar und Navigation
+   * @param {Array} folders - Ordner aus discoverFolders (Eltern vor Kindern)
+   * @param {Map} pages - Drive-Ordner-ID → { link, title } für alle Ordner mit Seite
+   * @returns {{nav: Array, sidebar: Array}}
+   */
+  build(folders, pages) {
+    const nodes = new Map();
+    const roots = [];
+
+    for (const folder of folders) {
+      const node = { folder, page: pages.get(folder.id) || null, children: [] };
+      nodes.set(folder.id, node);
+      const parent = nodes.get(folder.parentId);
+      (parent ? parent.children : roots).push(node);
+    }
+
+    const sidebar = this.sortNodes(roots)
+      .map(node => this.buildItem(node))
+      .filter(Boolean);
+
+    // Navigation: oberste Ebene, Ordner ohne eigene Seite verlinken auf ihre erste Unterseite
+    const nav = sidebar
+      .map(item => ({ text: item.text, link: this.findFirstLink(item) }))
+      .filter(item => item.link);
+
+    return { nav, sidebar };
+  }
+
+  /**
+   * Erzeuge einen Sidebar-Eintrag (rekursiv), Ordner ohne Seite und ohne Unterseiten entfallen
+   */
+  buildItem(node) {
+    const items = this.sortNodes(node.children)
+      .map(child => this.buildItem(child))
+      .filter(Boolean);
+
+    if (!node.page && items.length === 0) {
+      return null;
+    }
+
+    const item = { text: node.page?.title || this.stripOrderPrefix(node.folder.name) };
+    if (node.page) {
+      item.link = node.page.link;
+    }
+    if (items.length > 0) {
+      item.items = items;
+    }
+    return item;
+  }
+
+  /**
+   * Sortiere Geschwister-Ordner: zuerst nach "order" aus der Steuerdatei bzw. Präfix ("01-", "2_", "10."), dann nach Name
+   */
+  sortNodes(nodes) {
+    return [...nodes].sort((a, b) => {
+      const orderA = a.folder.config?.order ?? this.getOrder(a.folder.name);
+      const orderB = b.folder.config?.order ?? this.getOrder(b.folder.name);
+      if (orderA !== orderB) {
+        return orderA < orderB ? -1 : 1;
+      }
+      return this.stripOrderPrefix(a.folder.name).localeCompare(this.stripOrderPrefix(b.folder.name), 'de');
+    });
+  }
+
+  /**
+   * Lies das Sortier-Präfix eines Ordnernamens (ohne Präfix: ans Ende)
+   */
+  getOrder(name) {
+    const match = name.match(/^(\d+)[\s._-]/);
+    return match ? parseInt(match[1], 10) : Infinity;
+  }
+
+  /**
+   * Entferne das Sortier-Präfix für die Anzeige ("01-Einleitung" → "Einleitung")
+   */
+  stripOrderPrefix(name) {
+    return name.replace(/^\d+[\s._-]+/, '') || name;
+  }
+
+  /**
+   * Finde den ersten Link in einem Eintrag oder seinen Unterseiten
+   */
+  findFirstLink(item) {
+    if (item.link) {
+      return item.link;
+    }
+    for (const child of item.items || []) {
+      const link = this.findFirstLink(child);
+      if (link) {
+        return link;
+      }
+    }
+    return null;
+  }
+}
+
+// ========================================
+// Bild-Optimierung
+// ========================================
+
+/**
+ * Verkleinert Bilder, konvertiert sie nach WebP/AVIF und entfernt dabei alle
+ * Metadaten (EXIF, GPS). GIFs und nicht optimierte Bilder werden nur von Metadaten befreit (stripMetadata), SVGs unverändert übernommen.
+ */
+class ImageOptimizer {
+  constructor({ maxWidth = 1920, maxHeight = 1920, format = 'webp', quality = 80 } = {}) {
+    this.maxWidth = maxWidth;
+    this.maxHeight = maxHeight;
+    this.format = format;
+    this.quality = quality;
+  }
+
+  /**
+   * Prüfe, ob ein Bildtyp optimiert werden kann
+   */
+  canOptimize(mimeType) {
+    return ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/tiff'].includes(mimeType);
+  }
+
+  /**
+   * Dateiendung des optimierten Bildes (null = Originalformat)
+   */
+  getTargetExtension() {
+    return { webp: '.webp', avif: '.avif' }[this.format] || null;
+  }
+
+  /**
+   * Verkleinere ein Bild und schreibe es im Ziel- bzw. Originalformat
+   * Metadaten werden von sharp nicht übernommen, die EXIF-Ausrichtung wird vorher angewendet
+   * @param {Buffer} buffer - Originalbild
+   * @param {string|null} format - webp, avif oder null für das Originalformat
+   * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+   */
+  async optimize(buffer, format = null) {
+    const pipeline = sharp(buffer)
+      .rotate()
+      .resize({
+        width: this.maxWidth,
+        height: this.maxHeight,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+
+    const targetFormat = format || (await sharp(buffer).metadata()).format;
+    if (targetFormat === 'webp') {
+      pipeline.webp({ quality: this.quality });
+    } else if (targetFormat === 'avif') {
+      pipeline.avif({ quality: this.quality });
+    } else if (targetFormat === 'jpeg') {
+      pipeline.jpeg({ quality: this.quality, mozjpeg: true });
+    } else if (targetFormat === 'png') {
+      pipeline.png({ compressionLevel: 9 });
+    } else {
+      pipeline.toFormat(targetFormat);
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  }
+
+  /**
+   * Entferne Metadaten (EXIF inkl. GPS, XMP, IPTC) ohne das Bild zu verkleinern
+   * Verlustfrei bis auf JPEG (Qualität 100), die EXIF-Ausrichtung wird vorher angewendet.
+   * SVG enthält keine Kamera-Metadaten und bleibt unverändert.
+   * Wirft einen Fehler für Formate, die sharp nicht schreiben kann (z.B. HEIC)
+   * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+   */
+  async stripMetadata(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format === 'svg') {
+      return { buffer, width: metadata.width, height: metadata.height };
+    }
+
+    const pipeline = sharp(buffer, { animated: (metadata.pages || 1) > 1 });
+    if (metadata.orientation > 1) {
+      pipeline.rotate();
+    }
+
+    if (metadata.format === 'jpeg') {
+      pipeline.jpeg({ quality: 100 });
+    } else if (metadata.format === 'png') {
+      pipeline.png({ compressionLevel: 9 });
+    } else if (metadata.format === 'webp') {
+      pipeline.webp({ lossless: true });
+    } else if (metadata.format === 'heif' && metadata.compression === 'av1') {
+      pipeline.avif({ lossless: true });
+    } else if (metadata.format === 'gif' || metadata.format === 'tiff') {
+      pipeline.toFormat(metadata.format);
+    } else {
+      throw new Error(`Metadaten können aus ${metadata.compression || metadata.format}-Bildern nicht entfernt werden`);
+    }
+
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.pageHeight || info.height };
+  }
+
+  /**
+   * Lies die Abmessungen eines Bildes (Buffer oder Dateipfad), null wenn unbekannt
+   */
+  async getDimensions(input) {
+    try {
+      const metadata = await sharp(input).metadata();
+      if (!metadata.width || !metadata.height) {
+        return null;
+      }
+      // EXIF-Ausrichtung 5-8: Bild wird um 90° gedreht dargestellt
+      return metadata.orientation >= 5
+        ? { width: metadata.height, height: metadata.width }
+        : { width: metadata.width, height: metadata.height };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// ========================================
+// Git Service
+// ========================================
+
+class GitService {
+  constructor(repoPath, gitAccessToken, userName, userEmail) {
+    this.repoPath = repoPath;
+    this.gitAccessToken = gitAccessToken;
+    this.userEmail = userEmail; // Erkennt eigene Commits (siehe getForeignCommits)
+    this.remoteName = 'origin'; // Wird zu 'sync-origin' wenn Token vorhanden
+
+    // Git-Config für Benutzer (wird für Commits benötigt)
+    const gitConfig = [
+      `user.name=${userName}`,
+      `user.email=${userEmail}`
+    ];
+
+    if (gitAccessToken) {
+      const authString = Buffer.from(`oauth2:${gitAccessToken}`).toString('base64');
+      gitConfig.push(`http.extraHeader=Authorization: Basic ${authString}`);
+    }
+    
+    this.git = simpleGit(repoPath, {
+      config: gitConfig,
+    });
+    
+    Logger.debug(`GitService initialisiert${gitAccessToken ? ' (mit Token-Auth)' : ''} (User: ${userName} <${userEmail}>)`);
+  }
+  
+  /**
+   * Erstelle einen dedizierten HTTPS Remote für Token-Auth
+   * Lässt origin unverändert und erstellt sync-origin mit HTTPS URL (OHNE Token)
+   * Token wird über Environment Variables (GIT_PASSWORD) zur Laufzeit genutzt
+   */
+  async ensureSyncRemote() {
+    try {
+      if (!this.gitAccessToken) {
+        return; // Kein Token = nutze origin direkt
+      }
+      
       const remotes = await this.git.getRemotes(true);
       const origin = remotes.find(r => r.name === 'origin');
       
-      if (!origin) {
-        Logger.error('Kein "origin" Remote gefunden');
+      if (!origin) {
+        Logger.error('Kein "origin" Remote gefunden');
+        return;
+      }
+      
+      let url = origin.refs.fetch;
+      let httpsUrl = url;
+      
+      // Konvertiere SSH zu HTTPS falls nötig (OHNE Token in URL)
+      if (url.startsWith('git@')) {
+        const match = url.match(/^git@([^:]+):(.+)$/);
+        if (match) {
+          const hostname = match[1];
+          const repoPath = match[2];
+          httpsUrl = `https://${hostname}/${repoPath}`;
+          Logger.debug(`Konvertiere SSH zu HTTPS für sync-origin (Token via Env)`);
+        }
+      } else if (url.startsWith('http')) {
+        // HTTPS URL: Entferne vorhandene Auth-Infos, Token kommt via Env
+        const match = url.match(/^https?:\/\/(?:[^@]+@)?([^\/]+\/.+)$/);
+        if (match) {
+          httpsUrl = `https://${match[1]}`;
+        }
+      }
+      
+      // Prüfe ob sync-origin bereits existiert
+      const syncOrigin = remotes.find(r => r.name === 'sync-origin');
+      
+      if (syncOrigin) {
+        // Aktualisiere URL falls sie sich geändert hat
+        await this.git.remote(['set-url', 'sync-origin', httpsUrl]);
+        Logger.debug('sync-origin Remote aktualisiert (Token wird via Env genutzt)');
+      } else {
+        // Erstelle neuen sync-origin Remote
+        await this.git.addRemote('sync-origin', httpsUrl);
+        Logger.debug('sync-origin Remote erstellt (Token wird via Env genutzt)');
+      }
+      
+      // Nutze sync-origin für alle Operationen
+      this.remoteName = 'sync-origin';
+      
+    } catch (error) {
+      Logger.error('Fehler beim Erstellen des sync-origin Remote:', error.message);
+      // Fallback zu origin
+      this.remoteName = 'origin';
+    }
+  }
+
+  /**
+   * Ermittle den aktuellen Branch
+   */
+  async getCurrentBranch() {
+    try {
+      const status = await this.git.status();
+      return status.current;
+    } catch (error) {
+      Logger.error('Fehler beim Ermitteln des aktuellen Branches:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Erstelle einen neuen Branch vom aktuellen Branch aus
+   */
+  async createBranch(branchName) {
+    try {
+      const currentBranch = await this.getCurrentBranch();
+      Logger.debug(`Erstelle Branch: ${branchName} (Basis: ${currentBranch})`);
+      
+      // Erstelle/aktualisiere sync-origin Remote für Token-Auth
+      await this.ensureSyncRemote();
+      
+      // Hole aktuelle Änderungen vom aktuellen Branch
+      await this.git.pull(this.remoteName, currentBranch);
+      
+      // Erstelle neuen Branch vom aktuellen Branch aus
+      await this.git.checkoutLocalBranch(branchName);
+      
+      Logger.success(`Branch ${branchName} erstellt von ${currentBranch}`);
+      return currentBranch; // Gebe Basis-Branch zurück für spätere Verwendung
+    } catch (error) {
+      Logger.error('Fehler beim Erstellen des Branches:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Committe Änderungen (nur im angegebenen Pfad)
+   */
+  async commitChanges(message, contentPaths) {
+    const paths = [].concat(contentPaths);
+    const pathList = paths.map(contentPath => `${contentPath}/`).join(', ');
+
+    try {
+      Logger.debug(`Füge Änderungen in ${pathList} hinzu...`);
+      await this.git.add(paths);
+      
+      const status = await this.git.status();
+      
+      // Prüfe ob es staged Änderungen gibt
+      if (status.staged.length === 0) {
+        Logger.info('Keine Änderungen zum Committen');
+        return false;
+      }
+
+      Logger.debug(`Committe ${status.staged.length} Dateien aus ${pathList}...`);
+      await this.git.commit(message);
+      
+      Logger.success('Änderungen committed');
+      return true;
+    } catch (error) {
+      Logger.error('Fehler beim Committen:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Pushe Branch zum Remote
+   * Mit force wird ein umgeschriebener Branch (Rebase) per --force-with-lease gepusht
+   */
+  async pushBranch(branchName, { force = false } = {}) {
+    try {
+      Logger.debug(`Pushe Branch: ${branchName} (Remote: ${this.remoteName}${force ? ', force-with-lease' : ''})`);
+      
+      await this.git.push(this.remoteName, branchName, ['--set-upstream', ...(force ? ['--force-with-lease'] : [])]);
+      Logger.success(`Branch ${branchName} gepusht`);
+      return true;
+    } catch (error) {
+      Logger.error('Fehler beim Pushen:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Übertrage die Änderungen eines Commits auf einen Branch (z.B. eines offenen Merge Requests)
+   * - reuse: Der Remote-Branch wird weitergeführt. Liegt er nicht mehr auf dem Basis-Branch auf, wird er
+   *   rebased - bei Konflikten auf den Basis-Branch zurückgesetzt. Enthält er Commits, die nicht vom Sync
+   *   stammen (z.B. Korrekturen im Review), bleibt er unverändert und conflict ist true
+   * - sonst: Der Branch wird neu vom Basis-Branch erstellt (ein veralteter Remote-Branch wird ersetzt)
+   * - filter: Nur Dateien übernehmen, für die filter(pfad) true liefert
+   * Die Dateien aus dem Commit haben immer Vorrang.
+   * Gibt zurück, ob ein neuer Commit entstanden ist, ob der Branch umgeschrieben wurde (Force-Push nötig)
+   * und ob er wegen eines Konflikts nicht aktualisiert werden konnte
+   */
+  async applyToBranch(sourceRef, branchName, baseBranch, message, { reuse = true, filter = () => true } = {}) {
+    try {
+      const remoteRef = `${this.remoteName}/${branchName}`;
+      const remoteExists = await this.fetchBranch(branchName);
+
+      // Geänderte Dateien des Commits (ohne Rename-Erkennung: Umbenennung = Löschen + Hinzufügen)
+      const changes = (await this.git.raw(['diff', '--name-status', '--no-renames', `${sourceRef}~1`, sourceRef]))
+        .split('\n')
+        .filter(Boolean)
+        .map(line => line.split('\t'))
+        .filter(([, filePath]) => filter(filePath));
+
+      let rewritten = false;
+      if (!reuse || !remoteExists) {
+        await this.git.checkout(['-B', branchName, baseBranch]);
+        Logger.debug(`Branch ${branchName} von ${baseBranch} erstellt`);
+        rewritten = remoteExists;
+      } else {
+        await this.git.checkout(['-B', branchName, remoteRef]);
+        Logger.debug(`Branch ${branchName} von ${remoteRef} ausgecheckt`);
+      }
+
+      if (reuse && remoteExists && !(await this.isAncestor(baseBranch, 'HEAD'))) {
+        rewritten = true;
+        try {
+          await this.git.rebase([baseBranch]);
+          Logger.info(`Branch ${branchName} auf ${baseBranch} rebased`);
+        } catch (error) {
+          Logger.debug('Rebase fehlgeschlagen:', error.message);
+          await this.git.rebase(['--abort']).catch(() => {});
+
+          // Fremde Commits würden beim Zurücksetzen verloren gehen
+          const foreignCommits = await this.getForeignCommits(baseBranch, 'HEAD');
+          if (foreignCommits.length > 0) {
+            Logger.info(`⚠️  Rebase von ${branchName} auf ${baseBranch} wegen Konflikten nicht möglich, ${foreignCommits.length} Commit(s) stammen nicht vom Sync - Branch bleibt unverändert`);
+            return { committed: false, rewritten: false, conflict: true };
+          }
+
+          await this.git.reset(['--hard', baseBranch]);
+          Logger.info(`⚠️  Rebase von ${branchName} auf ${baseBranch} wegen Konflikten nicht möglich, Branch wird auf ${baseBranch} zurückgesetzt`);
+        }
+      }
+
+      for (const [status, filePath] of changes) {
+        if (status === 'D') {
+          await this.git.rm(['-f', '--ignore-unmatch', filePath]);
+        } else {
+          await this.git.checkout([sourceRef, '--', filePath]);
+        }
+      }
+
+      const status = await this.git.status();
+      if (status.staged.length === 0) {
+        Logger.info(`Keine neuen Änderungen gegenüber ${branchName}`);
+        return { committed: false, rewritten, conflict: false };
+      }
+
+      await this.git.commit(message);
+      Logger.success(`Änderungen auf ${branchName} committed`);
+      return { committed: true, rewritten, conflict: false };
+    } catch (error) {
+      Logger.error(`Fehler beim Aktualisieren von ${branchName}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Commits zwischen Basis-Branch und ref, die nicht vom Sync stammen (anderer Autor)
+   */
+  async getForeignCommits(baseBranch, ref) {
+    return (await this.git.raw(['log', '--format=%H %ae', `${baseBranch}..${ref}`]))
+      .split('\n')
+      .filter(Boolean)
+      .map(line => line.split(' '))
+      .filter(([, email]) => email !== this.userEmail)
+      .map(([commit]) => commit);
+  }
+
+  /**
+   * Hole einen Branch vom Remote, falls er dort existiert
+   */
+  async fetchBranch(branchName) {
+    const heads = await this.git.listRemote(['--heads', this.remoteName, `refs/heads/${branchName}`]);
+    if (!heads.trim()) {
+      return false;
+    }
+
+    await this.git.fetch(this.remoteName, `+refs/heads/${branchName}:refs/remotes/${this.remoteName}/${branchName}`);
+    return true;
+  }
+
+  /**
+   * Prüfe, ob ein Commit Vorfahre eines anderen ist (Merge-Base entspricht dem Vorfahren)
+   */
+  async isAncestor(ancestor, descendant) {
+    const [mergeBase, ancestorCommit] = await Promise.all([
+      this.git.raw(['merge-base', ancestor, descendant]),
+      this.git.revparse([ancestor])
+    ]);
+    return mergeBase.trim() === ancestorCommit.trim();
+  }
+
+  /**
+   * Lösche einen lokalen Branch
+   */
+  async deleteBranch(branchName) {
+    try {
+      await this.git.deleteLocalBranch(branchName, true);
+      Logger.debug(`Lokaler Branch ${branchName} gelöscht`);
+    } catch (error) {
+      Logger.error(`Fehler beim Löschen von ${branchName}:`, error.message);
+    }
+  }
+
+  /**
+   * Verschiebe eine Datei im Repository (git mv, Fallback auf Dateisystem für untracked Dateien)
+   */
+  async movePath(fromPath, toPath) {
+    await fs.mkdir(path.dirname(toPath), { recursive: true });
+
+    try {
+      await this.git.mv(fromPath, toPath);
+    } catch (error) {
+      Logger.debug(`git mv nicht möglich (${error.message}), verschiebe im Dateisystem`);
+      await fs.rename(fromPath, toPath);
+    }
+  }
+
+  /**
+   * Entferne eine Datei aus dem Repository (git rm, Fallback auf Dateisystem für untracked Dateien)
+   */
+  async removePath(filePath) {
+    try {
+      await this.git.rm(['-f', filePath]);
+    } catch (error) {
+      Logger.debug(`git rm nicht möglich (${error.message}), lösche im Dateisystem`);
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Nimm vorgemerkte Änderungen (z.B. git rm) an Dateien zurück, die wiederhergestellt wurden
+   */
+  async unstagePaths(filePaths) {
+    try {
+      await this.git.reset(['-q', '--', ...filePaths]);
+    } catch (error) {
+      Logger.debug(`git reset nicht möglich: ${error.message}`);
+    }
+  }
+
+  /**
+   * Erstelle einen Unified Diff zwischen zwei Inhalten (ohne das Repository zu verändern)
+   * Nutzt "git diff --no-index" auf temporären Dateien
+   */
+  async diffContents(relativePath, oldContent, newContent) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-content-diff-'));
+
+    try {
+      const oldFile = path.join(tmpDir, 'a', relativePath);
+      const newFile = path.join(tmpDir, 'b', relativePath);
+      await fs.mkdir(path.dirname(oldFile), { recursive: true });
+      await fs.mkdir(path.dirname(newFile), { recursive: true });
+      await fs.writeFile(oldFile, oldContent, 'utf-8');
+      await fs.writeFile(newFile, newContent, 'utf-8');
+
+      const diff = await simpleGit(tmpDir).diff(['--no-index', '--no-color', '--no-prefix', path.join('a', relativePath), path.join('b', relativePath)]);
+      return diff;
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Dreiwege-Merge zweier Inhalte (git merge-file auf temporären Dateien)
+   * Liefert den zusammengeführten Inhalt und die Anzahl der Konflikte (Konflikte mit Markern im Inhalt)
+   */
+  async mergeContents(currentContent, baseContent, newContent) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-content-merge-'));
+
+    try {
+      await fs.writeFile(path.join(tmpDir, 'current'), currentContent, 'utf-8');
+      await fs.writeFile(path.join(tmpDir, 'base'), baseContent, 'utf-8');
+      await fs.writeFile(path.join(tmpDir, 'new'), newContent, 'utf-8');
+
+      const content = await simpleGit(tmpDir).raw([
+        'merge-file', '-p',
+        '-L', 'Manuelle Änderung', '-L', 'Letzter Sync', '-L', 'Google Drive',
+        'current', 'base', 'new'
+      ]);
+      const conflicts = (content.match(/^<{7} /gm) || []).length;
+      return { content, conflicts };
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Suche in der Historie einer Datei die neueste Version, die die Bedingung erfüllt
+   * (z.B. die zuletzt vom Sync geschriebene Fassung vor einer manuellen Änderung)
+   * Folgt Umbenennungen, damit verschobene Seiten (umbenannte Ordner) ihre Historie behalten
+   */
+  async findFileVersion(relativePath, predicate, { maxCount = 50 } = {}) {
+    try {
+      // Je Commit: Hash und Pfad der Datei in diesem Commit
+      const commits = (await this.git.raw(['log', '--follow', `-n${maxCount}`, '--format=%x00%H', '--name-only', '--', relativePath]))
+        .split('\0')
+        .map(entry => entry.trim().split(/\n+/))
+        .filter(([commit, filePath]) => commit && filePath);
+
+      for (const [commit, filePath] of commits) {
+        // Im Löschcommit existiert die Datei nicht
+        const content = await this.git.show([`${commit}:${filePath}`]).catch(() => null);
+        if (content !== null && predicate(content)) {
+          return content;
+        }
+      }
+    } catch (error) {
+      Logger.debug(`Historie von ${relativePath} nicht lesbar: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Gehe zurück zum angegebenen Branch
+   */
+  async returnToBranch(branchName) {
+    try {
+      await this.git.checkout(branchName);
+      Logger.debug(`Zurück auf ${branchName} Branch`);
+      // sync-origin bleibt bestehen für zukünftige Runs
+    } catch (error) {
+      Logger.error(`Fehler beim Wechsel zu ${branchName}:`, error.message);
+    }
+  }
+}
+
+// ========================================
+// Git Provider Service (GitLab/GitHub)
+// ========================================
+
+class GitProviderService {
+  constructor(apiUrl, token, projectId) {
+    this.apiUrl = apiUrl;
+    this.token = token;
+    this.projectId = projectId;
+    
+    // Erkenne Provider anhand der API URL
+    this.isGitHub = apiUrl.includes('github.com') || apiUrl.includes('api.github.com');
+    this.providerName = this.isGitHub ? 'GitHub' : 'GitLab';
+    this.requestName = this.isGitHub ? 'Pull Request' : 'Merge Request';
+    
+    Logger.debug(`GitProviderService initialisiert (${this.providerName})`);
+    // Verwende passenden Auth-Header für Provider
+    const headers = this.isGitHub 
+      ? { 'Authorization': `token ${token}`, 'Accept': 'application/vnd.github+json' }
+      : { 'PRIVATE-TOKEN': token };
+    
+    this.client = axios.create({
+      baseURL: apiUrl,
+      headers: headers
+    });
+  }
+
+  /**
+   * Erstelle einen Merge Request (GitLab) bzw. Pull Request (GitHub)
+   */
+  async createMergeRequest(sourceBranch, targetBranch, title, description) {
+    try {
+      Logger.debug(`Erstelle ${this.requestName}: ${sourceBranch} → ${targetBranch}`);
+
+      if (this.isGitHub) {
+        return await this.createGitHubPullRequest(sourceBranch, targetBranch, title, description);
+      }
+
+      const response = await this.client.post(`/projects/${this.projectId}/merge_requests`, {
+        source_branch: sourceBranch,
+        target_branch: targetBranch,
+        title: title,
+        description: description,
+        labels: ['Content-Update'],
+        draft: true
+      });
+
+      Logger.success(`Merge Request erstellt: ${response.data.web_url}`);
+      return response.data;
+    } catch (error) {
+      Logger.error(`Fehler beim Erstellen des ${this.requestName}s:`, error.message);
+      if (error.response) {
+        Logger.error(`${this.providerName} Antwort:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Finde offene Merge Requests bzw. Pull Requests mit Label "Content-Update" gegen den Basis-Branch
+   * (optional nur von einem bestimmten Source-Branch). Liefert [{ number, sourceBranch, url }], neueste zuerst
+   */
+  async findOpenMergeRequests(targetBranch, { sourceBranch = null } = {}) {
+    try {
+      Logger.debug(`Suche offene ${this.requestName}s mit Label "Content-Update" gegen ${targetBranch}${sourceBranch ? ` von ${sourceBranch}` : ''}`);
+
+      if (this.isGitHub) {
+        const repository = this.getGitHubRepository();
+        const response = await this.client.get(`/repos/${repository}/pulls`, {
+          params: {
+            state: 'open',
+            base: targetBranch,
+            ...(sourceBranch ? { head: `${repository.split('/')[0]}:${sourceBranch}` } : {}),
+            sort: 'created',
+            direction: 'desc',
+            per_page: 100
+          }
+        });
+        // Nur Branches aus diesem Repository (keine Forks)
+        return response.data
+          .filter(pr => pr.labels.some(label => label.name === 'Content-Update') && pr.head.repo?.full_name === repository)
+          .map(pr => ({ number: pr.number, sourceBranch: pr.head.ref, url: pr.html_url, description: pr.body || '' }));
+      }
+
+      const response = await this.client.get(`/projects/${this.projectId}/merge_requests`, {
+        params: {
+          state: 'opened',
+          target_branch: targetBranch,
+          ...(sourceBranch ? { source_branch: sourceBranch } : {}),
+          labels: 'Content-Update',
+          order_by: 'created_at',
+          sort: 'desc'
+        }
+      });
+      return response.data
+        .filter(mr => mr.source_project_id === mr.target_project_id)
+        .map(mr => ({ number: mr.iid, sourceBranch: mr.source_branch, url: mr.web_url, description: mr.description || '' }));
+    } catch (error) {
+      Logger.error(`Fehler beim Suchen offener ${this.requestName}s:`, error.message);
+      if (error.response) {
+        Logger.error(`${this.providerName} Antwort:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Aktualisiere Titel und Beschreibung eines bestehenden Merge Requests bzw. Pull Requests
+   */
+  async updateMergeRequest(request, title, description) {
+    try {
+      if (this.isGitHub) {
+        await this.client.patch(`/repos/${this.getGitHubRepository()}/pulls/${request.number}`, {
+          title: title,
+          body: description
+        });
+      } else {
+        await this.client.put(`/projects/${this.projectId}/merge_requests/${request.number}`, {
+          title: title,
+          description: description
+        });
+      }
+
+      Logger.success(`${this.requestName} aktualisiert: ${request.url}`);
+    } catch (error) {
+      Logger.error(`Fehler beim Aktualisieren des ${this.requestName}s:`, error.message);
+      if (error.response) {
+        Logger.error(`${this.providerName} Antwort:`, error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Erstelle einen Draft Pull Request auf GitHub und setze das Content-Update Label
+   * GitHub erwartet das Repository als "owner/repo" (GITHUB_REPOSITORY)
+   */
+  async createGitHubPullRequest(sourceBranch, targetBranch, title, description) {
+    const repository = this.getGitHubRepository();
+
+    const response = await this.client.post(`/repos/${repository}/pulls`, {
+      head: sourceBranch,
+      base: targetBranch,
+      title: title,
+      body: description,
+      draft: true
+    });
+
+    Logger.success(`Pull Request erstellt: ${response.data.html_url}`);
+
+    // Labels werden bei GitHub über die Issues API gesetzt
+    try {
+      await this.client.post(`/repos/${repository}/issues/${response.data.number}/labels`, {
+        labels: ['Content-Update']
+      });
+      Logger.debug(`Label "Content-Update" für Pull Request #${response.data.number} gesetzt`);
+    } catch (error) {
+      // Ein fehlendes Label soll den erstellten Pull Request nicht scheitern lassen
+      Logger.error('Fehler beim Setzen des Labels:', error.message);
+      if (error.response) {
+        Logger.error('GitHub Antwort:', error.response.data);
+      }
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Ermittle das GitHub Repository im Format "owner/repo"
+   */
+  getGitHubRepository() {
+    const repository = this.projectId && this.projectId.includes('/')
+      ? this.projectId
+      : process.env.GITHUB_REPOSITORY;
+
+    if (!repository || !repository.includes('/')) {
+      throw new Error('GitHub Repository unbekannt: GIT_PROJECT_ID oder GITHUB_REPOSITORY muss im Format "owner/repo" gesetzt sein');
+    }
+
+    return repository;
+  }
+}
+
+// ========================================
+// Content Synchronizer (Hauptlogik)
+// ========================================
+
+class ContentSynchronizer {
+  constructor(config) {
+    this.baseConfig = config;
+    this.config = config; // Während der Verarbeitung einer Zuordnung (SYNC_MAPPINGS) deren Konfiguration
+    this.driveService = new DriveService(createGoogleAuth(config), { driveId: config.driveId });
+    this.contentProcessor = new ContentProcessor(createLlmProvider(config), config.systemPrompt, {
+      maxRepairAttempts: config.aiRepairAttempts,
+      requireKeepRegions: config.keepRegionMissing === 'error'
+    });
+    this.gitService = new GitService(config.repoPath, config.gitAccessToken, config.gitUserName, config.gitUserEmail);
+    this.gitProviderService = new GitProviderService(config.gitApiUrl, config.gitAccessToken, config.gitProjectId);
+    this.docsConverter = new DocsMarkdownConverter();
+    this.sheetsRenderer = new SheetsMarkdownRenderer();
+    this.navigationGenerator = new NavigationGenerator();
+    this.imageOptimizer = new ImageOptimizer({
+      maxWidth: config.imageMaxWidth,
+      maxHeight: config.imageMaxHeight,
+      format: config.imageFormat,
+      quality: config.imageQuality
+    });
+    this.changesDetected = false;
+    this.processedFolders = [];
+    this.removedPages = []; // Seiten, deren Drive-Ordner gelöscht wurde
+    this.renamedPages = []; // Seiten, deren Drive-Ordner umbenannt/verschoben wurde
+    this.removedAssets = []; // Bilder, die nicht mehr im Drive-Ordner liegen
+    this.failedFolders = []; // Ordner, deren KI-Ausgabe auch nach Reparatur ungültig war
+    this.unsupportedFiles = []; // Dateien, deren Typ nicht verarbeitet werden kann
+    this.changedPages = []; // Geänderte Seiten mit Zusammenfassung, Quellen und Hinweisen (MR-Beschreibung)
+    this.keptManualPages = []; // Manuell bearbeitete Seiten, die nicht aktualisiert wurden (skip oder Merge-Konflikt)
+    this.duplicateFolders = []; // Ordner, deren Seitenpfad schon ein anderer Ordner belegt (nicht verarbeitet)
+    this.erroredFolderIds = new Set(); // Ordner mit Fehlern - beim nächsten inkrementellen Sync erneut verarbeiten
+    this.deferredFolderIds = []; // Geänderte, aber nicht ausgewählte Ordner (--folder) - beim nächsten inkrementellen Sync verarbeiten
+    this.initialSyncState = null; // Zustand aus dem vorherigen Lauf (serve) je Hauptordner-ID, sonst aus SYNC_STATE_DIR
+    this.savedSyncState = null; // Am Ende dieses Laufs gespeicherter Zustand je Hauptordner-ID
+    this.navigationUpdated = false; // Sidebar/Navigation wurde neu erzeugt
+    this.previewPages = new Map(); // Dry-Run: Seiteninhalte, die geschrieben worden wären
+    this.contextDocuments = []; // Geladene Context-Dokumente aus Stammverzeichnis
+    this.exportCache = new Map(); // Exporte von Docs/Sheets pro Lauf (Änderungserkennung + Verarbeitung)
+    this.baseBranch = null; // Wird beim Branch-Erstellen gesetzt
+  }
+
+  /**
+   * Lade alle Context-Dateien aus dem Drive-Stammverzeichnis
+   */
+  async loadContextDocuments() {
+    try {
+      Logger.info('\n--- Lade Context-Dokumente aus Stammverzeichnis ---');
+      
+      // Hole alle Dateien (keine Ordner) aus dem Stammverzeichnis
+      const allFiles = await this.driveService.listFiles(this.config.driveFolderId);
+      
+      // Filtere nur Docs und Sheets (keine Bilder, keine Ordner)
+      const contextFiles = allFiles.filter(file => 
+        (file.mimeType === 'application/vnd.google-apps.document' ||
+        file.mimeType === 'application/vnd.google-apps.spreadsheet') &&
+        !this.isFolderConfigFile(file)
+      );
+      
+      if (contextFiles.length === 0) {
+        Logger.info('Keine Context-Dokumente im Stammverzeichnis gefunden');
+        Logger.info('Hinweis: Legen Sie Dateien wie "Glossar", "Satzung" oder "Wiki" im Hauptordner ab,');
+        Logger.info('         um sie als zusätzlichen Kontext für die KI zu nutzen.');
+        return [];
+      }
+      
+      Logger.info(`${contextFiles.length} Context-Datei(en) gefunden:`);
+      const loadedDocs = [];
+      
+      for (const file of contextFiles) {
+        try {
+          Logger.info(`  Lade "${file.name}"...`);
+          
+          let content = '';
+          if (file.mimeType === 'application/vnd.google-apps.document') {
+            content = await this.driveService.downloadDocContent(file.id);
+          } else if (file.mimeType === 'application/vnd.google-apps.spreadsheet') {
+            content = await this.driveService.downloadSheetContent(file.id);
+          }
+          
+          loadedDocs.push({
+            name: file.name,
+            content: content,
+            type: file.mimeType
+          });
+          
+          Logger.success(`  ✓ "${file.name}" geladen (${content.length} Zeichen)`);
+        } catch (error) {
+          Logger.error(`  ✗ Fehler beim Laden von "${file.name}":`, error.message);
+        }
+      }
+      
+      if (loadedDocs.length > 0) {
+        Logger.success(`📚 ${loadedDocs.length} Context-Dokument(e) erfolgreich geladen und werden in allen Prompts verwendet`);
+      }
+      
+      return loadedDocs;
+    } catch (error) {
+      Logger.error('Fehler beim Laden der Context-Dokumente:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Prüfe ob bereits Änderungen im Content-Verzeichnis vorliegen
+   */
+  async hasExistingChanges() {
+    try {
+      const status = await this.gitService.git.status();
+      
+      // Filtere nur Änderungen in den Zielverzeichnissen
+      const contentPaths = this.getContentPaths();
+      const contentChanges = status.files.filter(file => {
+        return contentPaths.some(contentPath => file.path.startsWith(contentPath + '/'));
+      });
+      
+      const hasChanges = contentChanges.length > 0;
+      
+      if (hasChanges) {
+        Logger.info(`📝 Erkannte bereits vorhandene Änderungen in ${contentPaths.map(contentPath => `${contentPath}/`).join(', ')}:`)
+        contentChanges.slice(0, 5).forEach(file => {
+          Logger.info(`   - ${file.path} [${file.working_dir}]`);
+        });
+        if (contentChanges.length > 5) {
+          Logger.info(`   ... und ${contentChanges.length - 5} weitere Datei(en)`);
+        }
+      }
+      
+      return hasChanges;
+    } catch (error) {
+      Logger.debug('Fehler beim Prüfen des Git-Status:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Hauptmethode: Synchronisation starten
+   */
+  async sync() {
+    try {
+      Logger.info('===========================================');
+      Logger.info('Starte Content Synchronisation');
+      Logger.info('===========================================');
+
+      // Validiere Konfiguration
+      this.validateConfig();
+
+      if (this.config.dryRun) {
+        Logger.info('🔍 DRY-RUN: Es werden keine Dateien geschrieben und nichts gepusht');
+      }
+
+      // Prüfe ob bereits Änderungen vorliegen (z.B. von früherem Lauf)
+      // Im Dry-Run wird immer die Vorschau aus Drive erstellt
+      const hasExistingChanges = !this.config.dryRun && await this.hasExistingChanges();
+      
+      if (hasExistingChanges) {
+        Logger.info('\n⚡ SKIP-Modus aktiviert: Überspringe Drive/KI-Verarbeitung');
+        Logger.info('   Grund: Es liegen bereits Änderungen im Working Directory vor');
+        Logger.info('   Fahre direkt mit Git-Operationen fort...\n');
+        this.changesDetected = true;
+        this.processedFolders.push('Vorhandene Änderungen');
+      } else {
+        // Normale Verarbeitung: Drive → KI → Dateien schreiben
+        Logger.info('\n📥 Starte normale Verarbeitung (Drive → KI → Git)\n');
+
+        // Jede Zuordnung (Drive-Hauptordner → Zielverzeichnis) nacheinander, alle Änderungen landen im selben Merge Request
+        const navigationSections = [];
+        for (const mapping of this.getMappings()) {
+          this.config = this.createMappingConfig(mapping);
+          try {
+            if (mapping.name) {
+              Logger.info(`\n=== Bereich: ${mapping.name} (${this.config.contentPath}) ===`);
+            }
+            navigationSections.push({ mapping, linkPrefix: this.config.linkPrefix, navigation: await this.syncMapping() });
+          } finally {
+            this.config = this.baseConfig;
+          }
+        }
+
+        // Sidebar/Navigation aus der gesamten Ordnerstruktur neu erzeugen (landet im selben Commit)
+        await this.updateNavigation(this.combineNavigation(navigationSections));
+      }
+
+      // Wenn Änderungen erkannt wurden, erstelle einen Merge Request
+      if (this.changesDetected && !this.config.createMergeRequest) {
+        Logger.info('Merge Request deaktiviert (--no-mr). Änderungen bleiben im Working Directory.');
+      } else if (this.changesDetected) {
+        await this.createAndSubmitMergeRequest();
+      } else {
+        Logger.info('Keine Änderungen erkannt. Kein Merge Request erstellt.');
+      }
+
+      if (this.unsupportedFiles.length > 0) {
+        Logger.info(`${this.unsupportedFiles.length} Datei(en) mit nicht unterstütztem Typ übersprungen:`);
+        this.unsupportedFiles.forEach(file => Logger.info(`  - ${file.folder}: ${file.name} (${file.mimeType})`));
+      }
+
+      if (this.failedFolders.length > 0) {
+        Logger.error(`${this.failedFolders.length} Ordner wegen ungültiger KI-Ausgabe nicht aktualisiert:`);
+        this.failedFolders.forEach(failed => Logger.error(`  - ${failed.folder}: ${failed.errors.join('; ')}`));
+      }
+
+      if (this.duplicateFolders.length > 0) {
+        Logger.error(`${this.duplicateFolders.length} Ordner wegen doppeltem Seitenpfad nicht verarbeitet:`);
+        this.duplicateFolders.forEach(duplicate => Logger.error(`  - ${duplicate.folder}: "${duplicate.slugPath}" belegt durch ${duplicate.owner}`));
+      }
+
+      if (this.keptManualPages.length > 0) {
+        Logger.info(`${this.keptManualPages.length} manuell bearbeitete Seite(n) nicht aktualisiert:`);
+        this.keptManualPages.forEach(page => Logger.info(`  - ${page.pagePath}: ${page.reason}`));
+      }
+
+      Logger.info('===========================================');
+      Logger.success('Synchronisation abgeschlossen');
+      Logger.info('===========================================');
+
+    } catch (error) {
+      Logger.error('Fehler bei der Synchronisation:', error.message);
+      
+      // Versuche zum Basis-Branch zurückzukehren (falls gesetzt)
+      try {
+        if (this.baseBranch) {
+          await this.gitService.returnToBranch(this.baseBranch);
+        }
+      } catch (e) {
+        // Ignoriere Fehler beim Zurückkehren
+      }
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Verarbeite einen Drive-Hauptordner (this.config ist die Konfiguration der Zuordnung)
+   * Liefert die Sidebar/Navigation des Bereichs (null, wenn SIDEBAR_FILE leer ist)
+   */
+  async syncMapping() {
+    // Lade Context-Dokumente aus dem Stammverzeichnis (einmalig für alle Ordner)
+    this.contextDocuments = this.config.contextDocuments === false ? [] : await this.loadContextDocuments();
+
+    // Inkrementeller Sync: nur Ordner mit Änderungen seit dem letzten Lauf (sonst vollständiger Scan)
+    const incremental = this.config.incrementalSync ? await this.loadIncrementalChanges() : null;
+    let folders;
+    let foldersToProcess;
+    let nextPageToken = null;
+
+    if (incremental) {
+      folders = incremental.folders;
+      foldersToProcess = this.filterFolders(folders).filter(folder => incremental.changedFolderIds.has(folder.id));
+      // Geänderte Ordner außerhalb der Auswahl (--folder) beim nächsten Lauf verarbeiten
+      this.deferredFolderIds = folders
+        .filter(folder => incremental.changedFolderIds.has(folder.id) && !foldersToProcess.includes(folder))
+        .map(folder => folder.id);
+      nextPageToken = incremental.newPageToken;
+      Logger.info(`Inkrementeller Sync: ${foldersToProcess.length} von ${folders.length} Ordnern betroffen`);
+    } else {
+      // Token vor dem Scan holen, damit keine Änderung während des Laufs verloren geht
+      if (this.config.incrementalSync) {
+        nextPageToken = await this.driveService.getStartPageToken();
+      }
+
+      // Hole alle Unterordner (rekursiv) aus Google Drive
+      Logger.info(`Lade Ordner aus Google Drive (ID: ${this.config.driveFolderId})...`);
+      folders = await this.discoverFolders(this.config.driveFolderId);
+      Logger.info(`${folders.length} Ordner gefunden`);
+
+      // Gelöschte und umbenannte Ordner abgleichen (vor der Verarbeitung, damit keine Duplikate entstehen)
+      // Bei einer Ordnerauswahl (--folder) werden andere Seiten nicht angefasst
+      if (this.config.folderFilter.length === 0) {
+        await this.reconcileFolders(folders);
+      }
+
+      foldersToProcess = this.filterFolders(folders);
+      // Nicht ausgewählte Ordner (--folder) wurden nicht geprüft und sind beim nächsten Lauf dran
+      this.deferredFolderIds = folders.filter(folder => !foldersToProcess.includes(folder)).map(folder => folder.id);
+    }
+
+    // Ordner mit bereits belegtem Seitenpfad würden die Seite eines anderen Ordners überschreiben
+    const duplicateIds = this.findDuplicateFolders(folders);
+    foldersToProcess = foldersToProcess.filter(folder => !duplicateIds.has(folder.id));
+
+    // Verarbeite jeden (ausgewählten) Ordner
+    for (const folder of foldersToProcess) {
+      await this.processFolder(folder);
+    }
+
+    if (this.config.incrementalSync) {
+      await this.saveSyncState(nextPageToken, folders);
+    }
+
+    return this.buildNavigation(folders.filter(folder => !duplicateIds.has(folder.id)));
+  }
+
+  /**
+   * Finde Ordner, deren Slug-Pfad schon ein früherer Ordner belegt (z.B. gleiches "path" in zwei Steuerdateien)
+   * Merkt sie für Log und MR-Beschreibung vor, liefert ihre IDs
+   */
+  findDuplicateFolders(folders) {
+    const owners = new Map();
+    const duplicateIds = new Set();
+
+    for (const folder of folders) {
+      const owner = owners.get(folder.slugPath);
+      if (!owner) {
+        owners.set(folder.slugPath, folder);
+        continue;
+      }
+
+      Logger.error(`Seitenpfad "${folder.slugPath}" von "${folder.displayPath}" ist schon durch "${owner.displayPath}" belegt - Ordner wird übersprungen`);
+      duplicateIds.add(folder.id);
+      this.duplicateFolders.push({ folder: folder.displayPath, slugPath: folder.slugPath, owner: owner.displayPath });
+    }
+
+    return duplicateIds;
+  }
+
+  /**
+   * Zuordnungen Drive-Hauptordner → Zielverzeichnis (ohne SYNC_MAPPINGS nur DRIVE_FOLDER_ID → CONTENT_PATH)
+   */
+  getMappings() {
+    return this.baseConfig.mappings?.length > 0 ? this.baseConfig.mappings : [{ name: null }];
+  }
+
+  /**
+   * Konfiguration für die Verarbeitung einer Zuordnung (eigener Hauptordner, Zielverzeichnis, Context und Prompt)
+   * Links erhalten den Pfad des Zielverzeichnisses relativ zu CONTENT_PATH als Präfix (z.B. /verein/...)
+   * Assets liegen ohne eigenes assetsPath unter ASSETS_PATH/<präfix> (Links /assets/<präfix>/...),
+   * mit assetsPath im Zielverzeichnis (Links relativ zu CONTENT_PATH, siehe getPublicUrl)
+   */
+  createMappingConfig(mapping) {
+    if (!mapping.name) {
+      return this.baseConfig;
+    }
+
+    const baseContentPath = path.posix.normalize(this.baseConfig.contentPath);
+    const contentPath = path.posix.normalize(mapping.contentPath);
+    const linkPrefix = path.posix.relative(baseContentPath, contentPath);
+    const assetsPrefix = linkPrefix.startsWith('..') ? this.sanitizeFolderName(mapping.name) : linkPrefix;
+    const assetsDir = mapping.assetsPath
+      ? path.posix.join(contentPath, mapping.assetsPath)
+      : path.posix.join(baseContentPath, this.baseConfig.assetsPath, assetsPrefix);
+    const systemPrompt = mapping.systemPrompt || this.baseConfig.systemPrompt;
+
+    return {
+      ...this.baseConfig,
+      driveFolderId: mapping.driveFolderId,
+      contentPath: mapping.contentPath,
+      // Relativ zum Zielverzeichnis (kann für ASSETS_PATH/<präfix> mit .. beginnen)
+      assetsPath: path.posix.relative(contentPath, assetsDir),
+      assetsUrl: mapping.assetsPath ? getPublicUrl(baseContentPath, assetsDir) : `/assets/${assetsPrefix}`,
+      contextDocuments: mapping.contextDocuments,
+      systemPrompt: mapping.prompt ? `${systemPrompt}\n\nZusätzliche Anweisungen für diesen Bereich:\n${mapping.prompt}` : systemPrompt,
+      mappingName: mapping.name,
+      linkPrefix: linkPrefix.startsWith('..') ? '' : linkPrefix
+    };
+  }
+
+  /**
+   * URL eines Assets (ohne SYNC_MAPPINGS wie bisher /assets/<ordner>/<datei>)
+   */
+  getAssetUrl(fileSlug, fileName) {
+    return `${this.config.assetsUrl || '/assets'}/${fileSlug}/${fileName}`;
+  }
+
+  /**
+   * Alle Zielverzeichnisse dieses Laufs (CONTENT_PATH und die der Zuordnungen)
+   */
+  getContentPaths() {
+    return [...new Set([this.baseConfig.contentPath, ...this.getMappings().filter(mapping => mapping.name).map(mapping => mapping.contentPath)])];
+  }
+
+  /**
+   * Zeige alle Drive-Ordner mit letztem Sync-Zeitpunkt und Aktualität an
+   */
+  async status() {
+    this.validateConfig({ requireGit: false, requireAi: false, requireChanges: false });
+
+    const rows = [];
+    for (const mapping of this.getMappings()) {
+      this.config = this.createMappingConfig(mapping);
+      try {
+        Logger.info(`Lade Ordner aus Google Drive (ID: ${this.config.driveFolderId})...`);
+        const folders = this.filterFolders(await this.discoverFolders(this.config.driveFolderId));
+
+        for (const folder of folders) {
+          const mdFilePath = this.getPagePath(folder);
+
+          // Ordner nur mit Unterordnern erhalten keine eigene Seite (siehe processFolder)
+          if (folder.hasSubfolders && (await this.listPageFiles(folder)).length === 0) {
+            rows.push({
+              folder: folder.displayPath,
+              page: '-',
+              lastSync: '-',
+              state: 'nur Unterordner',
+              isStale: false,
+              subfoldersOnly: true
+            });
+            continue;
+          }
+
+          let metadata = null;
+          try {
+            metadata = this.contentProcessor.extractMetadata(await fs.readFile(mdFilePath, 'utf-8'));
+          } catch (error) {
+            // Seite existiert noch nicht
+          }
+
+          const isStale = await this.checkIfUpdateNeeded(folder, mdFilePath);
+          let state = isStale ? 'veraltet' : 'aktuell';
+          if (!metadata) state = 'nie synchronisiert';
+
+          rows.push({
+            folder: folder.displayPath,
+            page: path.relative(this.config.repoPath, mdFilePath),
+            lastSync: metadata ? metadata.lastSync.toISOString() : '-',
+            state,
+            isStale
+          });
+        }
+      } finally {
+        this.config = this.baseConfig;
+      }
+    }
+
+    Logger.print();
+    for (const row of rows) {
+      Logger.print(`${row.subfoldersOnly ? '-' : row.isStale ? '✗' : '✓'} ${row.folder}`);
+      Logger.print(`    Seite: ${row.page}`);
+      Logger.print(`    Letzter Sync: ${row.lastSync}  Status: ${row.state}`);
+    }
+
+    const staleCount = rows.filter(row => row.isStale).length;
+    Logger.print();
+    Logger.info(`${rows.length} Ordner, davon ${staleCount} veraltet`);
+    return rows;
+  }
+
+  /**
+   * Beschränke die Ordnerliste auf die per --folder ausgewählten Ordner (inkl. Unterordner)
+   * Ein Filter passt auf Ordnername, Drive-ID, Slug-Pfad oder Anzeigepfad
+   */
+  filterFolders(folders) {
+    const filters = this.config.folderFilter;
+    if (filters.length === 0) {
+      return folders;
+    }
+
+    for (const filter of filters) {
+      if (!folders.some(folder => this.folderMatches(folder, filter))) {
+        Logger.error(`Kein Ordner gefunden für --folder "${filter}"`);
+      }
+    }
+
+    const selected = folders.filter(folder => this.isFolderSelected(folder, filters));
+
+    Logger.info(`Ordnerauswahl: ${selected.length} von ${folders.length} Ordnern`);
+    return selected;
+  }
+
+  /**
+   * Prüfe, ob ein Filter (Ordnername, Drive-ID, Slug-Pfad oder Anzeigepfad) genau auf einen Ordner passt
+   */
+  folderMatches(folder, filter) {
+    return folder.id === filter ||
+      folder.name === filter ||
+      folder.slugPath === filter ||
+      folder.displayPath === filter;
+  }
+
+  /**
+   * Prüfe, ob ein Ordner oder einer seiner Elternordner von einem der Filter ausgewählt ist
+   */
+  isFolderSelected(folder, filters) {
+    const candidates = [folder, ...(folder.ancestors || [])];
+    return filters.some(filter => candidates.some(candidate => this.folderMatches(candidate, filter)));
+  }
+
+  /**
+   * Durchlaufe die Ordnerhierarchie unterhalb von parentFolderId rekursiv
+   * Liefert eine flache Liste (Eltern vor Kindern), jeder Ordner ergänzt um
+   * slugPath (z.B. "bereich/thema/unterthema"), displayPath, hasSubfolders und
+   * config (Einstellungen aus der Steuerdatei _config, leer wenn keine vorhanden)
+   */
+  async discoverFolders(parentFolderId, parent = null, entries = null) {
+    const { folders } = entries || await this.driveService.listFolderEntries(parentFolderId);
+    const result = [];
+
+    for (const folder of folders) {
+      const folderEntries = await this.driveService.listFolderEntries(folder.id);
+      const { config, configFileId } = await this.loadFolderConfig(folder, folderEntries.controlFiles);
+
+      // Slug bzw. vollständiger Ausgabepfad aus der Steuerdatei ersetzen den Ordnernamen
+      // Ordnernamen ohne verwertbare Zeichen (z.B. nur Emojis) erhalten die Drive-ID als Slug
+      const slug = this.sanitizeFolderName(config.slug || folder.name) || this.sanitizeFolderName(folder.id);
+      const slugPath = config.path
+        ? config.path.split('/').map(segment => this.sanitizeFolderName(segment)).filter(Boolean).join('/')
+        : parent ? `${parent.slugPath}/${slug}` : slug;
+
+      const entry = {
+        ...folder,
+        parentId: parentFolderId,
+        depth: parent ? parent.depth + 1 : 0,
+        slugPath,
+        displayPath: parent
+          ? `${parent.displayPath} / ${folder.name}`
+          : this.config.mappingName ? `${this.config.mappingName} / ${folder.name}` : folder.name,
+        ancestors: parent
+          ? [...parent.ancestors, { id: parent.id, name: parent.name, slugPath: parent.slugPath, displayPath: parent.displayPath }]
+          : [],
+        config,
+        configFileId
+      };
+
+      const children = await this.discoverFolders(folder.id, entry, folderEntries);
+      entry.hasSubfolders = children.length > 0;
+
+      Logger.debug(`Ordner gefunden: ${entry.displayPath} → ${entry.slugPath}`);
+      result.push(entry, ...children);
+    }
+
+    return result;
+  }
+
+  /**
+   * Lade die Steuerdatei (_config) eines Ordners
+   * Liefert { config, configFileId } - ohne oder bei ungültiger Steuerdatei ist config leer
+   */
+  async loadFolderConfig(folder, controlFiles) {
+    if (controlFiles.length === 0) {
+      return { config: {}, configFileId: null };
+    }
+
+    const [file, ...others] = controlFiles;
+    if (others.length > 0) {
+      Logger.info(`⚠️  Mehrere Steuerdateien in "${folder.name}", verwende "${file.name}"`);
+    }
+
+    try {
+      let raw;
+      if (file.mimeType === 'application/vnd.google-apps.spreadsheet') {
+        const [tab] = await this.driveService.downloadSheetTabs(file.id);
+        raw = this.parseConfigRows(tab ? tab.rows : []);
+      } else {
+        const text = file.mimeType === 'application/vnd.google-apps.document'
+          ? await this.driveService.downloadDocContent(file.id)
+          : (await this.driveService.downloadFile(file.id)).toString('utf-8');
+        raw = YAML.parse(text.replace(/^\uFEFF/, '')) || {};
+      }
+
+      const config = this.validateFolderConfig(raw, `${folder.name}/${file.name}`);
+      Logger.debug(`Steuerdatei ${folder.name}/${file.name}: ${JSON.stringify(config)}`);
+      return { config, configFileId: file.id };
+    } catch (error) {
+      Logger.error(`Steuerdatei "${folder.name}/${file.name}" ist ungültig und wird ignoriert:`, error.message.split('\n')[0]);
+      return { config: {}, configFileId: file.id };
+    }
+  }
+
+  /**
+   * Wandle die Zeilen einer Steuerdatei als Google Sheet (Spalte A: Einstellung, Spalte B: Wert) in ein Objekt
+   * Punkte im Namen erzeugen verschachtelte Einträge ("frontmatter.layout"), Werte werden als YAML gelesen
+   */
+  parseConfigRows(rows) {
+    const raw = {};
+
+    for (const [key = '', value = ''] of rows) {
+      const name = String(key).trim();
+      if (!name || name.startsWith('#')) {
+        continue;
+      }
+
+      let parsed;
+      try {
+        parsed = YAML.parse(String(value));
+      } catch (error) {
+        parsed = String(value);
+      }
+
+      const parts = name.split('.');
+      let target = raw;
+      for (const part of parts.slice(0, -1)) {
+        target = target[part] = target[part] && typeof target[part] === 'object' ? target[part] : {};
+      }
+      target[parts[parts.length - 1]] = parsed ?? '';
+    }
+
+    return raw;
+  }
+
+  /**
+   * Prüfe die Einstellungen einer Steuerdatei - ungültige und unbekannte Einträge werden mit Hinweis ignoriert
+   */
+  validateFolderConfig(raw, source) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Erwartet werden Einträge der Form "einstellung: wert"');
+    }
+
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    // Slug und Pfad müssen nach der Bereinigung noch Zeichen enthalten (sonst entstünde z.B. docs/.md)
+    const isSlug = value => isText(value) && this.sanitizeFolderName(value) !== '';
+    const rules = {
+      slug: isSlug,
+      path: value => isText(value) && value.split('/').some(isSlug),
+      order: value => typeof value === 'number' && Number.isFinite(value),
+      prompt: isText,
+      systemPrompt: isText,
+      mode: value => value === 'ai' || value === 'deterministic',
+      frontmatter: value => value && typeof value === 'object' && !Array.isArray(value),
+      ignore: value => isText(value) || (Array.isArray(value) && value.every(isText))
+    };
+
+    const config = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (!rules[key]) {
+        Logger.info(`⚠️  ${source}: Unbekannte Einstellung "${key}" wird ignoriert`);
+      } else if (!rules[key](value)) {
+        Logger.info(`⚠️  ${source}: Ungültiger Wert für "${key}" wird ignoriert`);
+      } else if (key === 'ignore') {
+        // Kommagetrennte Liste oder YAML-Liste
+        config.ignore = (Array.isArray(value) ? value : value.split(',')).map(pattern => pattern.trim()).filter(Boolean);
+      } else {
+        config[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Prüfe, ob eine Datei die Steuerdatei eines Ordners ist
+   */
+  isFolderConfigFile(file) {
+    return FOLDER_CONFIG_NAMES.includes(file.name);
+  }
+
+  /**
+   * Prüfe, ob eine Datei per "ignore" ausgeschlossen ist (Dateiname mit * und ? oder Drive-ID)
+   */
+  isIgnoredFile(file, patterns = []) {
+    return patterns.some(pattern => {
+      if (pattern === file.id) {
+        return true;
+      }
+      const regex = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      return new RegExp(`^${regex}$`, 'i').test(file.name);
+    });
+  }
+
+  /**
+   * Lade die Quelldateien einer Seite: ohne Unterordner, Steuerdatei und per "ignore" (global oder Steuerdatei)
+   * ausgeschlossene Dateien
+   */
+  async listPageFiles(folder) {
+    const ignore = [...this.config.ignore, ...(folder.config?.ignore || [])];
+
+    return (await this.driveService.listFiles(folder.id)).filter(file => {
+      if (file.mimeType === 'application/vnd.google-apps.folder' || this.isFolderConfigFile(file)) {
+        return false;
+      }
+      if (this.isIgnoredFile(file, ignore)) {
+        Logger.debug(`  Datei ignoriert: ${file.name}`);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Hash der Einstellungen, die den Seiteninhalt beeinflussen (Änderungen lösen eine Neugenerierung aus)
+   */
+  getFolderConfigHash(folder) {
+    const { prompt, systemPrompt, mode, frontmatter } = folder.config || {};
+    const relevant = JSON.stringify({ prompt, systemPrompt, mode, frontmatter });
+    return relevant === '{}' ? null : `sha256:${crypto.createHash('sha256').update(relevant).digest('hex')}`;
+  }
+
+  /**
+   * System-Prompt eines Ordners: Ersatz-Prompt bzw. zusätzliche Anweisungen aus der Steuerdatei
+   */
+  getFolderSystemPrompt(folder) {
+    const { prompt, systemPrompt } = folder.config || {};
+    const basePrompt = systemPrompt || this.config.systemPrompt;
+    return prompt ? `${basePrompt}\n\nZusätzliche Anweisungen für diese Seite:\n${prompt}` : basePrompt;
+  }
+
+  /**
+   * Pfad der Zustandsdatei des inkrementellen Syncs (eine Datei je Hauptordner)
+   */
+  getSyncStatePath() {
+    return path.join(this.config.repoPath, this.config.syncStateDir, `${this.config.driveFolderId}.json`);
+  }
+
+  /**
+   * Ermittle die seit dem letzten Lauf geänderten Ordner über die Drive Changes API
+   * Liefert { folders, changedFolderIds, newPageToken } oder null, wenn ein vollständiger Scan nötig ist
+   * (kein gespeicherter Zustand, --force, geänderte Ordnerstruktur, ungültiger Token)
+   */
+  async loadIncrementalChanges() {
+    if (this.config.forceUpdate) {
+      Logger.info('Inkrementeller Sync: --force gesetzt, vollständiger Scan');
+      return null;
+    }
+
+    let state = this.initialSyncState?.[this.config.driveFolderId];
+    try {
+      state = state || JSON.parse(await fs.readFile(this.getSyncStatePath(), 'utf-8'));
+    } catch (error) {
+      Logger.info('Inkrementeller Sync: Kein gespeicherter Zustand, vollständiger Scan');
+      return null;
+    }
+
+    if (!state.pageToken || state.driveFolderId !== this.config.driveFolderId || !Array.isArray(state.folders)) {
+      Logger.info('Inkrementeller Sync: Zustand passt nicht zum Hauptordner, vollständiger Scan');
+      return null;
+    }
+
+    let result;
+    try {
+      result = await this.driveService.listChanges(state.pageToken);
+    } catch (error) {
+      Logger.info('Inkrementeller Sync: Änderungen nicht abrufbar (Token abgelaufen?), vollständiger Scan');
+      return null;
+    }
+
+    const folders = state.folders;
+    const folderById = new Map(folders.map(folder => [folder.id, folder]));
+
+    // Geänderte Ordnerstruktur (neu, umbenannt, verschoben, gelöscht) → vollständiger Scan inkl. Abgleich
+    const structureChanged = result.changes.some(change => {
+      const known = folderById.get(change.fileId);
+      if (known) {
+        return change.removed || !change.file || change.file.trashed ||
+          change.file.name !== known.name || !(change.file.parents || []).includes(known.parentId);
+      }
+      return change.file?.mimeType === 'application/vnd.google-apps.folder' && !change.file.trashed &&
+        (change.file.parents || []).some(id => id === this.config.driveFolderId || folderById.has(id));
+    });
+    if (structureChanged) {
+      Logger.info('Inkrementeller Sync: Ordnerstruktur geändert, vollständiger Scan');
+      return null;
+    }
+
+    // Geänderte Steuerdateien (_config) können Slug, Pfad und Sortierung ändern → vollständiger Scan
+    const configChanged = result.changes.some(change =>
+      folders.some(folder => folder.configFileId && folder.configFileId === change.fileId) ||
+      (change.file && this.isFolderConfigFile(change.file) &&
+        (change.file.parents || []).some(id => folderById.has(id))));
+    if (configChanged) {
+      Logger.info('Inkrementeller Sync: Steuerdatei geändert, vollständiger Scan');
+      return null;
+    }
+
+    // Ordner der geänderten Dateien: aktuelle Eltern und bisheriger Ordner (verschobene/gelöschte Dateien)
+    const folderByFileId = new Map();
+    for (const [folderId, page] of await this.findSyncedPages()) {
+      (page.fileIds || []).forEach(fileId => folderByFileId.set(fileId, folderId));
+    }
+
+    const changedFolderIds = new Set(state.pendingFolderIds || []);
+    for (const change of result.changes) {
+      (change.file?.parents || []).filter(id => folderById.has(id)).forEach(id => changedFolderIds.add(id));
+      if (folderByFileId.has(change.fileId)) {
+        changedFolderIds.add(folderByFileId.get(change.fileId));
+      }
+    }
+
+    Logger.info(`Inkrementeller Sync: ${result.changes.length} Änderung(en) seit ${state.lastSync || 'dem letzten Lauf'}`);
+    return { folders, changedFolderIds, newPageToken: result.newStartPageToken || state.pageToken };
+  }
+
+  /**
+   * Speichere Page Token und Ordnerstruktur für den nächsten inkrementellen Sync
+   * Ordner mit Fehlern und nicht ausgewählte geänderte Ordner werden beim nächsten Lauf verarbeitet
+   */
+  async saveSyncState(pageToken, folders) {
+    if (this.config.dryRun || !pageToken) {
+      return;
+    }
+
+    const state = {
+      driveFolderId: this.config.driveFolderId,
+      pageToken,
+      lastSync: new Date().toISOString(),
+      pendingFolderIds: [...new Set([...this.erroredFolderIds, ...this.deferredFolderIds])],
+      folders
+    };
+
+    this.savedSyncState = { ...this.savedSyncState, [this.config.driveFolderId]: state };
+
+    // Das Verzeichnis ignoriert sich selbst, damit der Zustand nie in einem Commit landet
+    const statePath = this.getSyncStatePath();
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(path.join(path.dirname(statePath), '.gitignore'), '*\n', 'utf-8');
+    await fs.writeFile(statePath, JSON.stringify(state, null, 2) + '\n', 'utf-8');
+    Logger.debug(`Sync-Zustand gespeichert: ${statePath}`);
+  }
+
+  /**
+   * Ermittle den VitePress-Link einer Seite (index.md → Verzeichnis-URL)
+   */
+  getPageLink(folder) {
+    const prefix = this.config.linkPrefix ? `/${this.config.linkPrefix}` : '';
+    return folder.hasSubfolders ? `${prefix}/${folder.slugPath}/` : `${prefix}/${folder.slugPath}`;
+  }
+
+  /**
+   * Erzeuge die Sidebar/Navigation für VitePress aus der Ordnerstruktur
+   * Titel kommen aus dem Frontmatter der Seiten, Ordner ohne Seite werden zu Gruppen
+   * Liefert { nav, sidebar } oder null (SIDEBAR_FILE leer oder Fehler)
+   */
+  async buildNavigation(folders) {
+    if (!this.config.sidebarFile) {
+      return null;
+    }
+
+    try {
+      const pages = new Map();
+      for (const folder of folders) {
+        const mdFilePath = this.getPagePath(folder);
+        let content = this.previewPages.get(mdFilePath);
+        if (content === undefined) {
+          try {
+            content = await fs.readFile(mdFilePath, 'utf-8');
+          } catch (error) {
+            continue; // Ordner ohne eigene Seite
+          }
+        }
+
+        const frontmatter = this.contentProcessor.extractFrontmatter(content);
+        const title = typeof frontmatter?.title === 'string' && frontmatter.title.trim()
+          ? frontmatter.title.trim()
+          : null;
+        pages.set(folder.id, { link: this.getPageLink(folder), title });
+      }
+
+      return this.navigationGenerator.build(folders, pages);
+    } catch (error) {
+      Logger.error('Fehler beim Erzeugen der Sidebar/Navigation:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Führe die Navigation der Zuordnungen zusammen: eine Sidebar pro Bereich (VitePress Multi-Sidebar,
+   * Schlüssel ist das Link-Präfix) und ein Eintrag pro Bereich in nav
+   * Ohne SYNC_MAPPINGS bleibt die Navigation des einzigen Hauptordners unverändert
+   */
+  combineNavigation(sections) {
+    if (sections.length === 1 && !sections[0].mapping.name) {
+      return sections[0].navigation;
+    }
+
+    const built = sections.filter(section => section.navigation);
+    if (built.length === 0) {
+      return null;
+    }
+
+    const sidebar = {};
+    const nav = [];
+    for (const { mapping, linkPrefix, navigation } of built) {
+      const key = linkPrefix ? `/${linkPrefix}/` : '/';
+      sidebar[key] = [...(sidebar[key] || []), ...navigation.sidebar];
+
+      const link = this.navigationGenerator.findFirstLink({ items: navigation.sidebar });
+      if (link) {
+        nav.push({ text: mapping.name, link });
+      }
+    }
+
+    return { nav, sidebar };
+  }
+
+  /**
+   * Schreibe die Sidebar/Navigation nach SIDEBAR_FILE (relativ zu CONTENT_PATH)
+   */
+  async updateNavigation(navigation) {
+    if (!navigation) {
+      return;
+    }
+
+    try {
+      Logger.info('\n--- Erzeuge Sidebar/Navigation ---');
+
+      const newContent = JSON.stringify(navigation, null, 2) + '\n';
+      const filePath = path.join(this.config.repoPath, this.config.contentPath, this.config.sidebarFile);
+
+      let oldContent = '';
+      try {
+        oldContent = await fs.readFile(filePath, 'utf-8');
+      } catch (error) {
+        // Datei wird neu angelegt
+      }
+
+      if (oldContent === newContent) {
+        Logger.info('Sidebar/Navigation unverändert');
+        return;
+      }
+
+      if (this.config.dryRun) {
+        await this.reportDryRunDiff('navigation', filePath, oldContent, newContent);
+      } else {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, newContent, 'utf-8');
+        Logger.success(`Sidebar/Navigation gespeichert: ${filePath}`);
+      }
+
+      this.navigationUpdated = true;
+      this.changesDetected = true;
+    } catch (error) {
+      Logger.error('Fehler beim Erzeugen der Sidebar/Navigation:', error.message);
+      // Seiten werden trotzdem übernommen
+    }
+  }
+
+  /**
+   * Ermittle den Pfad der Markdown-Datei für einen Ordner
+   * Ordner mit Unterordnern werden zu <slugPath>/index.md, Blatt-Ordner zu <slugPath>.md
+   * (beide Varianten ergeben in VitePress dieselbe URL)
+   */
+  getPagePath(folder) {
+    const basePath = path.join(this.config.repoPath, this.config.contentPath, folder.slugPath);
+    return folder.hasSubfolders ? path.join(basePath, 'index.md') : `${basePath}.md`;
+  }
+
+  /**
+   * Verschiebe eine bestehende Seite, wenn ein Ordner Unterordner bekommen
+   * oder verloren hat (<slug>.md ↔ <slug>/index.md)
+   */
+  async migratePagePath(folder, mdFilePath) {
+    const basePath = path.join(this.config.repoPath, this.config.contentPath, folder.slugPath);
+    const alternativePath = folder.hasSubfolders ? `${basePath}.md` : path.join(basePath, 'index.md');
+
+    try {
+      await fs.access(mdFilePath);
+      return; // Zieldatei existiert bereits
+    } catch (error) {
+      // Zieldatei existiert nicht - prüfe die alternative Variante
+    }
+
+    try {
+      await fs.access(alternativePath);
+    } catch (error) {
+      return; // Keine bestehende Seite vorhanden
+    }
+
+    await fs.mkdir(path.dirname(mdFilePath), { recursive: true });
+    await fs.rename(alternativePath, mdFilePath);
+    Logger.info(`  Seite verschoben: ${path.relative(this.config.repoPath, alternativePath)} → ${path.relative(this.config.repoPath, mdFilePath)}`);
+  }
+
+  /**
+   * Finde alle vom Sync generierten Seiten im Content-Verzeichnis
+   * Liefert eine Map: Drive-Ordner-ID → { filePath, slugPath }
+   */
+  async findSyncedPages() {
+    const contentRoot = path.join(this.config.repoPath, this.config.contentPath);
+    const assetsRoot = path.join(contentRoot, this.config.assetsPath);
+    const pages = new Map();
+
+    const walk = async (dir) => {
+      let entries = [];
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return; // Verzeichnis existiert (noch) nicht
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          if (entryPath === assetsRoot || entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+          await walk(entryPath);
+        } else if (entry.name.endsWith('.md')) {
+          const metadata = this.contentProcessor.extractMetadata(await fs.readFile(entryPath, 'utf-8'));
+          if (!metadata || !metadata.folderId || pages.has(metadata.folderId)) continue;
+
+          const relativePath = path.relative(contentRoot, entryPath).split(path.sep).join('/');
+          pages.set(metadata.folderId, {
+            filePath: entryPath,
+            slugPath: relativePath.replace(/\/index\.md$|\.md$/, ''),
+            fileIds: metadata.sourceRecords ? metadata.sourceRecords.map(record => record.id) : metadata.sourceFileIds
+          });
+        }
+      }
+    };
+
+    await walk(contentRoot);
+    return pages;
+  }
+
+  /**
+   * Gleiche generierte Seiten mit den Drive-Ordnern ab:
+   * - Ordner gelöscht → Seite und Assets entfernen
+   * - Ordner umbenannt/verschoben → Seite und Assets per git mv verschieben
+   */
+  async reconcileFolders(folders) {
+    const pages = await this.findSyncedPages();
+
+    if (pages.size === 0) {
+      return;
+    }
+
+    if (folders.length === 0) {
+      // Schutz vor Datenverlust, z.B. bei fehlenden Berechtigungen auf den Hauptordner
+      Logger.error('Keine Ordner in Drive gefunden - überspringe das Entfernen bestehender Seiten');
+      return;
+    }
+
+    // Umbenennungen (Eltern vor Kindern, wie von discoverFolders geliefert)
+    // Ordner mit doppeltem Seitenpfad werden nicht verschoben (siehe findDuplicateFolders)
+    const owners = new Map();
+    folders.forEach(folder => owners.has(folder.slugPath) || owners.set(folder.slugPath, folder));
+
+    for (const folder of folders) {
+      const page = pages.get(folder.id);
+      if (!page || page.slugPath === folder.slugPath || owners.get(folder.slugPath) !== folder) continue;
+
+      const targetPath = this.getPagePath(folder);
+      try {
+        await fs.access(targetPath);
+        Logger.error(`Umbenennung von "${page.slugPath}" nicht möglich: ${path.relative(this.config.repoPath, targetPath)} existiert bereits`);
+        continue;
+      } catch (error) {
+        // Ziel ist frei
+      }
+
+      Logger.info(`↪ Ordner umbenannt: ${page.slugPath} → ${folder.slugPath}`);
+      this.renamedPages.push({ from: page.slugPath, to: folder.slugPath, contentPath: this.config.contentPath });
+      this.changesDetected = true;
+
+      if (this.config.dryRun) continue;
+
+      await this.gitService.movePath(page.filePath, targetPath);
+      await this.moveAssets(page.slugPath, folder.slugPath);
+
+      // Bildpfade in der verschobenen Seite anpassen (samt content_hash, sonst gälte die Seite als manuell bearbeitet)
+      const content = await fs.readFile(targetPath, 'utf-8');
+      const movedContent = this.contentProcessor.replaceAssetUrls(content, this.getAssetUrl(page.slugPath, ''), this.getAssetUrl(folder.slugPath, ''));
+      await fs.writeFile(targetPath, movedContent, 'utf-8');
+    }
+
+    // Löschungen (Kinder vor Eltern, damit leere Verzeichnisse aufgeräumt werden können)
+    const driveFolderIds = new Set(folders.map(folder => folder.id));
+    const removed = [...pages.entries()]
+      .filter(([folderId]) => !driveFolderIds.has(folderId))
+      .sort(([, a], [, b]) => b.slugPath.length - a.slugPath.length);
+
+    for (const [, page] of removed) {
+      Logger.info(`🗑 Ordner in Drive gelöscht: ${page.slugPath}`);
+      this.removedPages.push(page.slugPath);
+      this.changesDetected = true;
+
+      if (this.config.dryRun) continue;
+
+      await this.gitService.removePath(page.filePath);
+      await this.removeEmptyDirectory(path.dirname(page.filePath));
+      await this.removeAssets(page.slugPath);
+    }
+  }
+
+  /**
+   * Verschiebe die Assets eines Ordners (nur Dateien, Unterordner gehören zu eigenen Seiten)
+   */
+  async moveAssets(fromSlugPath, toSlugPath) {
+    const assetsRoot = path.join(this.config.repoPath, this.config.contentPath, this.config.assetsPath);
+    const fromDir = path.join(assetsRoot, fromSlugPath);
+    const toDir = path.join(assetsRoot, toSlugPath);
+
+    for (const fileName of await this.listAssetFiles(fromDir)) {
+      await this.gitService.movePath(path.join(fromDir, fileName), path.join(toDir, fileName));
+    }
+    await this.removeEmptyDirectory(fromDir);
+  }
+
+  /**
+   * Entferne die Assets eines Ordners (nur Dateien, Unterordner gehören zu eigenen Seiten)
+   */
+  async removeAssets(slugPath) {
+    const assetsDir = path.join(this.config.repoPath, this.config.contentPath, this.config.assetsPath, slugPath);
+
+    for (const fileName of await this.listAssetFiles(assetsDir)) {
+      await this.gitService.removePath(path.join(assetsDir, fileName));
+    }
+    await this.removeEmptyDirectory(assetsDir);
+  }
+
+  /**
+   * Entferne Bilder aus dem Assets-Verzeichnis, die nicht mehr im Drive-Ordner liegen
+   */
+  async removeStaleAssets(assetsDir, images) {
+    const currentFiles = new Set(images.flatMap(img =>
+      [img.path, img.fallbackPath].filter(Boolean).map(imagePath => path.basename(imagePath))
+    ));
+
+    for (const fileName of await this.listAssetFiles(assetsDir)) {
+      if (currentFiles.has(fileName)) continue;
+
+      const filePath = path.join(assetsDir, fileName);
+      if (!this.config.dryRun) {
+        await this.gitService.removePath(filePath);
+      }
+      this.removedAssets.push(path.relative(this.config.repoPath, filePath));
+      Logger.info(`  Bild entfernt (nicht mehr in Drive): ${fileName}`);
+    }
+  }
+
+  /**
+   * Hilfsfunktion: Liste die Dateien (ohne Unterverzeichnisse) eines Assets-Verzeichnisses
+   */
+  async listAssetFiles(dir) {
+    try {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Hilfsfunktion: Entferne ein Verzeichnis (und leere Elternverzeichnisse) innerhalb des Content- bzw. Assets-Pfads
+   */
+  async removeEmptyDirectory(dir) {
+    const contentRoot = path.join(this.config.repoPath, this.config.contentPath);
+    const assetsRoot = path.join(contentRoot, this.config.assetsPath);
+    let current = dir;
+
+    while ([contentRoot, assetsRoot].some(root => current.startsWith(root + path.sep))) {
+      try {
+        await fs.rmdir(current);
+      } catch (error) {
+        return; // Nicht leer oder nicht vorhanden
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Validiere die Konfiguration
+   */
+  validateConfig({
+    requireGit = !this.config.dryRun && this.config.createMergeRequest,
+    requireAi = this.config.useAi && !(this.config.dryRun && !this.config.dryRunAi) && this.config.conversionMode !== 'deterministic',
+    requireChanges = this.config.incrementalSync
+  } = {}) {
+    const required = {
+      driveFolderId: 'DRIVE_FOLDER_ID (driveFolderId) oder SYNC_MAPPINGS (mappings)',
+      gitAccessToken: 'GIT_ACCESS_TOKEN, GITLAB_TOKEN, GITHUB_TOKEN oder CI_JOB_TOKEN',
+      gitProjectId: 'GIT_PROJECT_ID, GITHUB_REPOSITORY, GITLAB_PROJECT_ID oder CI_PROJECT_ID (gitProjectId)'
+    };
+    
+    // Mit SYNC_MAPPINGS hat jede Zuordnung ihren eigenen Hauptordner
+    if (this.config.mappings?.length > 0) {
+      delete required.driveFolderId;
+    }
+
+    // Ohne Push (Dry-Run, --no-mr, status) sind Git-Provider Zugangsdaten optional
+    if (!requireGit) {
+      delete required.gitAccessToken;
+      delete required.gitProjectId;
+    }
+    
+    const missing = Object.keys(required).filter(key => !this.config[key]);
+    const missingVars = missing.map(key => required[key]);
+
+    // Google-Zugang: API Key, Service Account oder OAuth
+    const authMethod = getGoogleAuthMethod(this.config);
+    if (!authMethod) {
+      missingVars.push('GOOGLE_API_KEY, GOOGLE_SERVICE_ACCOUNT_KEY_FILE, GOOGLE_SERVICE_ACCOUNT_KEY oder GOOGLE_OAUTH_REFRESH_TOKEN');
+    }
+
+    // Gemini braucht einen API Key - Service Account und OAuth gelten nur für Google Drive
+    if (requireAi && this.config.llmProvider === 'gemini' && !this.config.llmApiKey && !this.config.googleApiKey) {
+      missingVars.push('LLM_API_KEY oder GOOGLE_API_KEY für LLM_PROVIDER=gemini (ohne KI: --no-ai oder LLM_PROVIDER=none)');
+    }
+
+    if (missingVars.length > 0) {
+      throw new Error(`Fehlende Konfiguration: ${missingVars.join(', ')}`);
+    }
+
+    if (authMethod === 'api-key' && !this.config.googleApiKey) {
+      throw new Error('Fehlende Konfiguration: GOOGLE_API_KEY (GOOGLE_AUTH_METHOD=api-key)');
+    }
+    // Die Changes API (inkrementeller Sync) lässt sich nicht mit einem API Key abfragen
+    if (requireChanges && authMethod === 'api-key') {
+      throw new Error('INCREMENTAL_SYNC=true benötigt einen Service Account oder OAuth (GOOGLE_API_KEY reicht für die Changes API nicht)');
+    }
+    // Prüft Vollständigkeit der Zugangsdaten (Service-Account-Schlüssel, OAuth Client)
+    createGoogleAuth(this.config);
+    Logger.debug(`Google-Anmeldung: ${authMethod}`);
+  }
+
+  /**
+   * Verarbeite einen einzelnen Ordner
+   */
+  async processFolder(folder) {
+    // Pfade definieren (verschachtelt entsprechend der Drive-Hierarchie)
+    const folderFileSlug = folder.slugPath;
+    const mdFilePath = this.getPagePath(folder);
+    // Assets unter docs/public/{folderFileSlug} speichern
+    const assetsDir = path.join(this.config.repoPath, this.config.contentPath, this.config.assetsPath, folderFileSlug);
+    // Stand der Assets vor der Verarbeitung (wird wiederhergestellt, wenn die Seite nicht geschrieben wird)
+    let assetsSnapshot = null;
+    let pageWritten = false;
+
+    try {
+      Logger.info(`\n--- Verarbeite Ordner: ${folder.displayPath} ---`);
+
+      const contentDir = path.dirname(mdFilePath);
+
+      // Bestehende Seite ggf. an die neue Struktur anpassen
+      if (!this.config.dryRun) {
+        await this.migratePagePath(folder, mdFilePath);
+      }
+
+      // Prüfe, ob Ordner aktualisiert werden muss
+      const needsUpdate = this.config.forceUpdate || await this.checkIfUpdateNeeded(folder, mdFilePath);
+
+      if (!needsUpdate) {
+        Logger.info(`✓ Ordner "${folder.displayPath}" ist aktuell. Überspringe.`);
+        return;
+      }
+
+      Logger.info(`→ Ordner "${folder.displayPath}" hat Änderungen. Starte Verarbeitung...`);
+
+      // Manuelle Änderungen an der generierten Seite erkennen
+      const manualEdit = await this.detectManualEdit(mdFilePath);
+      if (manualEdit && this.config.manualEditMode === 'skip') {
+        this.keepManualPage(folder, mdFilePath, 'Manuell bearbeitet (MANUAL_EDIT_MODE=skip)');
+        return;
+      }
+
+      // Lade alle Dateien aus dem Ordner (Unterordner werden separat verarbeitet, Steuerdatei und ignorierte Dateien entfallen)
+      const files = await this.listPageFiles(folder);
+      Logger.info(`  ${files.length} Dateien gefunden`);
+
+      if (files.length === 0 && folder.hasSubfolders) {
+        Logger.info(`  Ordner "${folder.displayPath}" enthält nur Unterordner. Keine eigene Seite.`);
         return;
       }
-      
-      let url = origin.refs.fetch;
-      let httpsUrl = url;
-      
-      // Konvertiere SSH zu HTTPS falls nötig (OHNE Token in URL)
-      if (url.startsWith('git@')) {
-        const match = url.match(/^git@([^:]+):(.+)$/);
-        if (match) {
-          const hostname = match[1];
-          const repoPath = match[2];
-          httpsUrl = `https://${hostname}/${repoPath}`;
-          Logger.debug(`Konvertiere SSH zu HTTPS für sync-origin (Token via Env)`);
+
+      // Erstelle Verzeichnisse falls nötig
+      if (!this.config.dryRun) {
+        await fs.mkdir(contentDir, { recursive: true });
+        await fs.mkdir(assetsDir, { recursive: true });
+      }
+
+      // Datensätze des letzten Syncs (unveränderte Bilder werden nicht erneut geladen)
+      const previousRecords = new Map();
+      try {
+        const metadata = this.contentProcessor.extractMetadata(await fs.readFile(mdFilePath, 'utf-8'));
+        (metadata?.sourceRecords || []).forEach(record => previousRecords.set(record.id, record));
+      } catch (error) {
+        // Neue Seite
+      }
+
+      assetsSnapshot = await this.snapshotAssets(assetsDir);
+
+      // Verarbeite Inhalte (Tabellen werden bei SHEETS_BYPASS_AI an der KI vorbeigeleitet)
+      const useAi = this.shouldUseAi(folder);
+      const { textContent, images, tables, downloads, unsupported, failed } = await this.processFiles(files, assetsDir, folderFileSlug, {
+        protectTables: useAi && this.config.sheetsBypassAi,
+        protectMarkdown: useAi,
+        previousRecords
+      });
+
+      // Eine unvollständige Seite würde die fehlerhaften Dateien als synchronisiert vermerken -
+      // die Seite bleibt unverändert und wird beim nächsten Lauf erneut verarbeitet
+      if (failed.length > 0) {
+        throw new Error(`${failed.length} Datei(en) nicht verarbeitet: ${failed.join(', ')}`);
+      }
+      unsupported.forEach(file => this.unsupportedFiles.push({ folder: folder.displayPath, ...file }));
+
+      // Bilder und Anhänge entfernen, die aus dem Drive-Ordner gelöscht wurden
+      await this.removeStaleAssets(assetsDir, [...images, ...downloads]);
+
+      // Lade existierenden Inhalt falls vorhanden
+      let existingContent = null;
+      try {
+        existingContent = await fs.readFile(mdFilePath, 'utf-8');
+        // Entferne alte Metadaten für die KI
+        existingContent = existingContent.replace(/<!--\s*SYNC_METADATA:.*?-->/s, '').trim();
+      } catch (error) {
+        Logger.debug('Keine existierende Datei gefunden (neu)');
+      }
+
+      // Geschützte Bereiche (<!-- sync:keep start --> … <!-- sync:keep end -->) vor der KI verbergen
+      const { content: protectedExisting, regions: keepRegions } = this.protectKeepRegions(existingContent);
+
+      // Transformiere mit KI oder konvertiere deterministisch (--no-ai, CONVERSION_MODE, DETERMINISTIC_FOLDERS, DRY_RUN_AI=false)
+      let transformedContent;
+      if (!useAi) {
+        Logger.info('  Konvertiere Inhalt deterministisch (ohne KI)...');
+        transformedContent = this.contentProcessor.createPlainMarkdown(
+          this.navigationGenerator.stripOrderPrefix(folder.name),
+          textContent,
+          images
+        );
+      } else {
+        Logger.info('  Transformiere Inhalt mit KI...');
+        transformedContent = await this.contentProcessor.transformToMarkdown(
+          textContent,
+          images,
+          protectedExisting ? this.removeDownloads(this.protectExistingTables(protectedExisting, tables)) : protectedExisting,
+          this.contextDocuments,
+          { systemPrompt: this.getFolderSystemPrompt(folder) }
+        );
+        transformedContent = this.insertProtectedTables(transformedContent, tables);
+      }
+
+      // Frontmatter-Vorgaben aus der Steuerdatei
+      if (folder.config?.frontmatter) {
+        transformedContent = this.contentProcessor.applyFrontmatter(transformedContent, folder.config.frontmatter);
+      }
+
+      // Geschützte Bereiche unverändert wieder einsetzen
+      transformedContent = this.insertKeepRegions(transformedContent, keepRegions);
+
+      // Downloads (PDFs, Anhänge) werden immer deterministisch am Seitenende eingefügt
+      transformedContent = this.insertDownloads(transformedContent, downloads);
+
+      // Manuelle Änderungen einarbeiten bzw. markieren
+      let pageContent = transformedContent;
+      let generatedContent = null;
+      if (manualEdit) {
+        const resolved = await this.resolveManualEdit(folder, mdFilePath, manualEdit, transformedContent);
+        if (!resolved) {
+          return;
+        }
+        ({ pageContent, generatedContent } = resolved);
+      }
+
+      // Füge Metadaten ans Ende hinzu (damit Frontmatter nicht gestört wird)
+      const sourceRecords = await this.createSourceRecords(files);
+      const metadata = this.contentProcessor.createMetadataComment(sourceRecords, new Date(), folder.id, {
+        contentHash: this.contentProcessor.hashContent(pageContent),
+        generatedContent,
+        configHash: this.getFolderConfigHash(folder)
+      });
+      const finalContent = pageContent + '\n\n' + metadata;
+
+      // Speichere die Datei (im Dry-Run nur als Diff anzeigen)
+      if (this.config.dryRun) {
+        await this.reportDryRunPage(folder, mdFilePath, finalContent);
+      } else {
+        await fs.writeFile(mdFilePath, finalContent, 'utf-8');
+        Logger.success(`  Datei gespeichert: ${mdFilePath}`);
+      }
+      pageWritten = true;
+
+      // Markiere, dass Änderungen vorliegen
+      this.changesDetected = true;
+      this.processedFolders.push(folder.displayPath);
+      this.changedPages.push(await this.createPageReport(folder, mdFilePath, assetsDir, {
+        existingContent,
+        transformedContent: pageContent,
+        manualEdit,
+        files,
+        sourceRecords,
+        previousRecords,
+        unsupported,
+        useAi
+      }));
+
+    } catch (error) {
+      Logger.error(`Fehler beim Verarbeiten von Ordner "${folder.displayPath}":`, error.message);
+      this.erroredFolderIds.add(folder.id);
+      // Ungültige KI-Ausgabe: Seite wird nicht geschrieben, aber im MR aufgeführt
+      if (error.validationErrors) {
+        this.failedFolders.push({ folder: folder.displayPath, errors: error.validationErrors });
+      }
+      // Fahre mit dem nächsten Ordner fort
+    } finally {
+      // Seite nicht geschrieben (Fehler, ungültige KI-Ausgabe, Konflikt): Bilder und Anhänge bleiben unverändert
+      if (assetsSnapshot) {
+        await this.releaseAssetsSnapshot(assetsDir, assetsSnapshot, { restore: !pageWritten });
+      }
+    }
+  }
+
+  /**
+   * Sichere die Bilder und Anhänge einer Seite (nur das eigene Verzeichnis, Unterordner haben eigene)
+   */
+  async snapshotAssets(assetsDir) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-content-assets-'));
+    const files = await this.listAssetFiles(assetsDir);
+    for (const fileName of files) {
+      await fs.copyFile(path.join(assetsDir, fileName), path.join(tmpDir, fileName));
+    }
+    return { tmpDir, files, removedCount: this.removedAssets.length };
+  }
+
+  /**
+   * Verwerfe die Sicherung der Assets, bei restore: true vorher den gesicherten Stand wiederherstellen
+   * (neue Dateien löschen, geänderte und entfernte zurückholen, git rm rückgängig machen)
+   */
+  async releaseAssetsSnapshot(assetsDir, { tmpDir, files, removedCount }, { restore }) {
+    try {
+      if (!restore) return;
+
+      const removed = this.removedAssets.splice(removedCount);
+      if (this.config.dryRun) return;
+
+      for (const fileName of await this.listAssetFiles(assetsDir)) {
+        if (!files.includes(fileName)) {
+          await fs.rm(path.join(assetsDir, fileName), { force: true });
+        }
+      }
+      for (const fileName of files) {
+        await fs.copyFile(path.join(tmpDir, fileName), path.join(assetsDir, fileName));
+      }
+      if (removed.length > 0) {
+        await this.gitService.unstagePaths(removed.map(asset => path.join(this.config.repoPath, asset)));
+      }
+      if (files.length === 0) {
+        await this.removeEmptyDirectory(assetsDir);
+      }
+      Logger.info('  Bilder und Anhänge des Ordners unverändert gelassen');
+    } catch (error) {
+      Logger.error(`Fehler beim Wiederherstellen von ${assetsDir}:`, error.message);
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Erkenne manuelle Änderungen an einer generierten Seite über den Hash in den Metadaten
+   * Liefert null (keine manuellen Änderungen) oder { currentContent, baseContent } - baseContent ist die
+   * zuletzt generierte Fassung (aus den Metadaten oder der Git-Historie), null wenn nicht auffindbar
+   */
+  async detectManualEdit(mdFilePath) {
+    let content;
+    try {
+      content = await fs.readFile(mdFilePath, 'utf-8');
+    } catch (error) {
+      return null; // Neue Seite
+    }
+
+    const metadata = this.contentProcessor.extractMetadata(content);
+    // Ältere Seiten ohne Hash: Änderungen sind nicht erkennbar
+    if (!metadata?.contentHash) {
+      return null;
+    }
+
+    const currentContent = content.replace(/<!--\s*SYNC_METADATA:.*?-->/s, '').trim();
+    const unchanged = this.contentProcessor.hashContent(currentContent) === metadata.contentHash;
+
+    // Unverändert seit dem letzten Sync und keine früher eingearbeiteten Änderungen
+    if (unchanged && !metadata.generatedBase) {
+      return null;
+    }
+
+    let baseContent = metadata.generatedBase;
+    if (!baseContent) {
+      const relativePath = path.relative(this.config.repoPath, mdFilePath).split(path.sep).join('/');
+      const committedContent = await this.gitService.findFileVersion(relativePath,
+        version => this.contentProcessor.hashContent(version) === metadata.contentHash);
+      baseContent = committedContent ? committedContent.replace(/<!--\s*SYNC_METADATA:.*?-->/s, '').trim() : null;
+    }
+
+    if (!unchanged) {
+      Logger.info(`  ✋ Manuelle Änderungen an ${path.relative(this.config.repoPath, mdFilePath)} erkannt`);
+    }
+    return { currentContent, baseContent };
+  }
+
+  /**
+   * Behandle manuelle Änderungen je nach MANUAL_EDIT_MODE
+   * - merge: Dreiwege-Merge (letzter Sync, manuelle Fassung, neue Ausgabe); bei Konflikten bleibt die Seite unverändert
+   * - flag: neue Ausgabe schreiben, die überschriebenen Änderungen im Merge Request zeigen
+   * Liefert { pageContent, generatedContent } oder null, wenn die Seite nicht aktualisiert wird
+   */
+  async resolveManualEdit(folder, mdFilePath, manualEdit, newContent) {
+    const { currentContent, baseContent } = manualEdit;
+
+    if (this.config.manualEditMode === 'flag') {
+      const relativePath = path.relative(this.config.repoPath, mdFilePath).split(path.sep).join('/');
+      manualEdit.action = 'überschrieben';
+      manualEdit.diff = baseContent
+        ? await this.gitService.diffContents(relativePath, `${baseContent}\n`, `${currentContent}\n`)
+        : null;
+      Logger.info('  Manuelle Änderungen werden überschrieben und im Merge Request markiert');
+      return { pageContent: newContent, generatedContent: null };
+    }
+
+    if (!baseContent) {
+      this.keepManualPage(folder, mdFilePath, 'Manuell bearbeitet, zuletzt generierte Fassung nicht gefunden - kein Merge möglich');
+      return null;
+    }
+
+    const { content, conflicts } = await this.gitService.mergeContents(`${currentContent}\n`, `${baseContent}\n`, `${newContent.trim()}\n`);
+    if (conflicts > 0) {
+      this.keepManualPage(folder, mdFilePath, `Manuell bearbeitet, ${conflicts} Konflikt(e) beim Zusammenführen mit den Drive-Änderungen`);
+      return null;
+    }
+
+    const pageContent = content.trim();
+    manualEdit.action = 'übernommen';
+    Logger.success('  Manuelle Änderungen in die neue Fassung übernommen');
+    // Die reine Ausgabe wird als Basis für den nächsten Merge gespeichert
+    return { pageContent, generatedContent: pageContent === newContent.trim() ? null : newContent.trim() };
+  }
+
+  /**
+   * Seite mit manuellen Änderungen unverändert lassen und für den nächsten Lauf vormerken
+   */
+  keepManualPage(folder, mdFilePath, reason) {
+    Logger.info(`⚠️  Seite "${folder.displayPath}" wird nicht aktualisiert: ${reason}`);
+    this.keptManualPages.push({
+      folder: folder.displayPath,
+      pagePath: path.relative(this.config.repoPath, mdFilePath).split(path.sep).join('/'),
+      reason
+    });
+    // Beim nächsten inkrementellen Sync erneut prüfen
+    this.erroredFolderIds.add(folder.id);
+  }
+
+  /**
+   * Prüfe, ob ein Ordner aktualisiert werden muss
+   */
+  async checkIfUpdateNeeded(folder, mdFilePath) {
+    try {
+      // Versuche Metadaten aus der lokalen Datei zu lesen
+      let localMetadata = null;
+
+      try {
+        const content = await fs.readFile(mdFilePath, 'utf-8');
+        localMetadata = this.contentProcessor.extractMetadata(content);
+      } catch (error) {
+        // Datei existiert nicht - Update nötig
+        Logger.debug('Lokale Datei existiert nicht - Update erforderlich');
+        return true;
+      }
+
+      // Wenn keine Metadaten vorhanden sind, muss synchronisiert werden
+      if (!localMetadata || !localMetadata.lastSync) {
+        Logger.debug('Keine Sync-Metadaten gefunden - Update erforderlich');
+        return true;
+      }
+
+      // Geänderte Vorgaben der Steuerdatei (Prompt, Modus, Frontmatter)
+      if ((localMetadata.configHash || null) !== this.getFolderConfigHash(folder)) {
+        Logger.debug('Steuerdatei geändert - Update erforderlich');
+        return true;
+      }
+
+      const driveFiles = await this.listPageFiles(folder);
+
+      // Ältere Metadaten ohne Datensätze pro Datei: Vergleich über Datei-IDs und Änderungsdatum
+      if (!localMetadata.sourceRecords) {
+        return this.checkIfUpdateNeededLegacy(localMetadata, driveFiles);
+      }
+
+      // Vergleiche die vollständige Menge der Quelldateien
+      return await this.hasSourceChanges(localMetadata.sourceRecords, driveFiles);
+
+    } catch (error) {
+      Logger.error('Fehler beim Prüfen der Aktualität:', error.message);
+      // Im Fehlerfall aktualisieren
+      return true;
+    }
+  }
+
+  /**
+   * Vergleiche die gespeicherten Datensätze mit den aktuellen Drive-Dateien
+   * Ein Ordner gilt als geändert, wenn eine Datei hinzugefügt, entfernt, umbenannt oder inhaltlich
+   * geändert wurde - nicht aber, wenn eine Datei nur "angefasst" wurde (neue Version, gleicher Inhalt)
+   */
+  async hasSourceChanges(sourceRecords, driveFiles) {
+    const recordsById = new Map(sourceRecords.map(record => [record.id, record]));
+    const driveFileIds = new Set(driveFiles.map(file => file.id));
+
+    const added = driveFiles.filter(file => !recordsById.has(file.id));
+    const removed = sourceRecords.filter(record => !driveFileIds.has(record.id));
+
+    if (added.length > 0 || removed.length > 0) {
+      Logger.debug(`Dateien hinzugefügt: ${added.map(f => f.name).join(', ') || '-'}, entfernt: ${removed.map(r => r.name).join(', ') || '-'} - Update erforderlich`);
+      return true;
+    }
+
+    for (const file of driveFiles) {
+      const record = recordsById.get(file.id);
+
+      if (record.name !== file.name) {
+        Logger.debug(`Datei umbenannt: ${record.name} → ${file.name} - Update erforderlich`);
+        return true;
+      }
+
+      // Binärdateien (Bilder, PDFs, ...): md5Checksum ist der Inhalts-Hash
+      if (file.md5Checksum) {
+        if (file.md5Checksum !== record.md5Checksum) {
+          Logger.debug(`Datei geändert (md5): ${file.name} - Update erforderlich`);
+          return true;
+        }
+        continue;
+      }
+
+      // Google-Dateien: Unveränderte Version bzw. Änderungsdatum → kein Export nötig
+      if (record.version ? file.version === record.version : file.modifiedTime === record.modifiedTime) {
+        continue;
+      }
+
+      // Neue Version: Inhalt exportieren und Hash vergleichen
+      const contentHash = await this.computeContentHash(file);
+      if (contentHash !== record.contentHash) {
+        Logger.debug(`Datei geändert (Inhalt): ${file.name} - Update erforderlich`);
+        return true;
+      }
+
+      Logger.debug(`Datei nur angefasst, Inhalt unverändert: ${file.name}`);
+    }
+
+    return false;
+  }
+
+  /**
+   * Änderungserkennung für Seiten mit Metadaten ohne Datensätze pro Datei
+   * (Datei-IDs und neuestes Änderungsdatum)
+   */
+  checkIfUpdateNeededLegacy(localMetadata, driveFiles) {
+    if (localMetadata.sourceFileIds.length > 0) {
+      const driveFileIds = driveFiles.map(file => file.id).sort();
+      const localFileIds = [...localMetadata.sourceFileIds].sort();
+
+      if (driveFileIds.join(',') !== localFileIds.join(',')) {
+        Logger.debug('Dateien im Drive-Ordner hinzugefügt oder entfernt - Update erforderlich');
+        return true;
+      }
+    }
+
+    if (driveFiles.length === 0) {
+      Logger.debug('Keine Dateien in Drive Ordner');
+      return false;
+    }
+
+    const driveModifiedTime = new Date(Math.max(...driveFiles.map(file => new Date(file.modifiedTime).getTime())));
+    const lastSync = localMetadata.lastSync;
+    Logger.debug(`Letzter Sync: ${lastSync.toISOString()}, Drive: ${driveModifiedTime.toISOString()}`);
+
+    return driveModifiedTime > lastSync;
+  }
+
+  /**
+   * Erstelle die Metadaten-Datensätze für die verarbeiteten Quelldateien
+   */
+  async createSourceRecords(files) {
+    const records = [];
+
+    for (const file of files) {
+      let contentHash = null;
+      try {
+        contentHash = await this.computeContentHash(file);
+      } catch (error) {
+        Logger.error(`  Inhalts-Hash für "${file.name}" nicht ermittelbar:`, error.message);
+      }
+
+      records.push({
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType,
+        version: file.version,
+        modifiedTime: file.modifiedTime,
+        md5Checksum: file.md5Checksum,
+        contentHash
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Berechne einen Hash über den exportierten Inhalt einer Datei
+   * - Google Docs: HTML-Export, Bild-URLs (ändern sich bei jedem Export) ersetzt durch Hashes der Bilddaten
+   * - Google Sheets: Werte aller Tabellenblätter
+   * - Sonstige Dateien: md5Checksum aus Drive
+   */
+  async computeContentHash(file) {
+    let content;
+
+    if (file.mimeType === 'application/vnd.google-apps.document') {
+      try {
+        const html = await this.exportDocHtml(file);
+        const imageHashes = [];
+        for (const src of this.getEmbeddedImageSources(html)) {
+          imageHashes.push(await this.hashEmbeddedImage(src));
+        }
+        content = html.replace(/\ssrc="[^"]*"/g, '') + imageHashes.join('\n');
+      } catch (error) {
+        content = await this.driveService.downloadDocContent(file.id);
+      }
+    } else if (file.mimeType === 'application/vnd.google-apps.spreadsheet') {
+      content = JSON.stringify(await this.exportSheetTabs(file));
+    } else if (file.mimeType === 'application/vnd.google-apps.presentation') {
+      content = await this.exportSlidesText(file);
+    } else if (file.md5Checksum) {
+      return `md5:${file.md5Checksum}`;
+    } else {
+      return null;
+    }
+
+    return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+  }
+
+  /**
+   * Lade den HTML-Export eines Google Docs (pro Lauf und Version nur einmal)
+   */
+  async exportDocHtml(file) {
+    const cacheKey = `html:${file.id}:${file.version || file.modifiedTime}`;
+    if (!this.exportCache.has(cacheKey)) {
+      this.exportCache.set(cacheKey, this.driveService.downloadDocHtml(file.id));
+    }
+
+    try {
+      return await this.exportCache.get(cacheKey);
+    } catch (error) {
+      this.exportCache.delete(cacheKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Hash der Bilddaten eines eingebetteten Bildes
+   * Ist das Bild nicht ladbar, zählt die (flüchtige) URL - die Seite gilt dann als geändert
+   */
+  async hashEmbeddedImage(src) {
+    try {
+      const { buffer } = await this.loadEmbeddedImage(src);
+      return crypto.createHash('sha256').update(buffer).digest('hex');
+    } catch (error) {
+      return src;
+    }
+  }
+
+  /**
+   * Lade ein eingebettetes Bild (pro Lauf und URL nur einmal)
+   */
+  async loadEmbeddedImage(src) {
+    const cacheKey = `image:${src}`;
+    if (!this.exportCache.has(cacheKey)) {
+      this.exportCache.set(cacheKey, this.driveService.downloadEmbeddedImage(src));
+    }
+
+    try {
+      return await this.exportCache.get(cacheKey);
+    } catch (error) {
+      this.exportCache.delete(cacheKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Alle Bild-URLs aus dem HTML-Export eines Google Docs (ohne Duplikate, in Dokumentreihenfolge)
+   */
+  getEmbeddedImageSources(html) {
+    return [...new Set(parseHtml(html).querySelectorAll('img')
+      .map(img => img.getAttribute('src'))
+      .filter(Boolean))];
+  }
+
+  /**
+   * Lade alle Tabellenblätter eines Google Sheets (pro Lauf und Version nur einmal)
+   * Fällt auf den CSV-Export (nur erstes Tabellenblatt) zurück, falls die Sheets API nicht verfügbar ist
+   */
+  async exportSheetTabs(file) {
+    const cacheKey = `sheet:${file.id}:${file.version || file.modifiedTime}`;
+    if (!this.exportCache.has(cacheKey)) {
+      this.exportCache.set(cacheKey, (async () => {
+        try {
+          return await this.driveService.downloadSheetTabs(file.id);
+        } catch (error) {
+          Logger.error(`  Sheets API für "${file.name}" nicht verfügbar, nutze CSV-Export (nur erstes Tabellenblatt)`);
+          const csv = await this.driveService.downloadSheetContent(file.id);
+          return [{ title: file.name, rows: this.sheetsRenderer.parseCsv(csv) }];
+        }
+      })());
+    }
+
+    try {
+      return await this.exportCache.get(cacheKey);
+    } catch (error) {
+      this.exportCache.delete(cacheKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Verarbeite alle Dateien in einem Ordner
+   */
+  async processFiles(files, assetsDir, fileSlug, { protectTables = false, protectMarkdown = false, previousRecords = new Map() } = {}) {
+    let textContent = '';
+    const images = [];
+    const tables = []; // Vor der KI geschützte Tabellen (protectTables) und Markdown-Dateien (protectMarkdown)
+    const downloads = []; // PDFs und Anhänge für den Abschnitt "Downloads"
+    const unsupported = []; // Dateien, die nicht verarbeitet werden können
+    const failed = []; // Dateien mit Fehlern beim Laden oder Konvertieren (z.B. Netzwerkfehler)
+
+    // Bei mehreren Text-Dateien bekommt jede einen eigenen Abschnitt (## Dateiname)
+    const textFileCount = files.filter(file =>
+      ['doc', 'sheet', 'slides', 'word', 'excel', 'markdown'].includes(this.getFileKind(file))
+    ).length;
+    const useSections = textFileCount > 1;
+
+    // Bilder mit gleichem Zielnamen (z.B. foo.png und foo.jpg → foo.webp) behalten ihre Endung im Namen
+    const clashingImageIds = this.findImageNameClashes(files.filter(file => this.getFileKind(file) === 'image'), assetsDir, fileSlug);
+
+    for (const file of files) {
+      try {
+        Logger.debug(`  Verarbeite: ${file.name} (${file.mimeType})`);
+        const kind = this.getFileKind(file);
+        const heading = useSections ? `\n\n## ${file.name}` : '';
+
+        // Google Docs und Word-Dateien (als Markdown, Überschriften unterhalb von Seitentitel bzw. Abschnitt)
+        if (kind === 'doc' || kind === 'word') {
+          const content = kind === 'doc'
+            ? await this.loadDocAsMarkdown(file, useSections ? 2 : 1, { assetsDir, fileSlug, images })
+            : await this.loadWordAsMarkdown(file, useSections ? 2 : 1, { assetsDir, fileSlug, images });
+          textContent += `${heading}\n\n${content}`;
         }
-      } else if (url.startsWith('http')) {
-        // HTTPS URL: Entferne vorhandene Auth-Infos, Token kommt via Env
-        const match = url.match(/^https?:\/\/(?:[^@]+@)?([^\/]+\/.+)$/);
-        if (match) {
-          httpsUrl = `https://${match[1]}`;
+        
+        // Google Sheets und Excel-Dateien (alle Tabellenblätter als Markdown-Tabellen)
+        else if (kind === 'sheet' || kind === 'excel') {
+          const content = kind === 'sheet'
+            ? await this.loadSheetAsMarkdown(file, useSections ? 3 : 2)
+            : await this.loadExcelAsMarkdown(file, useSections ? 3 : 2);
+
+          if (protectTables) {
+            // Die KI bekommt nur einen Platzhalter, damit Zahlen nie verändert werden können
+            const placeholder = `<!-- sync:table:${tables.length + 1} -->`;
+            tables.push({ name: file.name, kind: 'table', placeholder, content });
+            textContent += `${heading}\n\n${placeholder}`;
+          } else {
+            textContent += `${heading}\n\n${content}`;
+          }
+        }
+        
+        // Google Slides (Folientext als Inhalt, Präsentation als PDF unter Downloads)
+        else if (kind === 'slides') {
+          const content = (await this.exportSlidesText(file)).trim();
+          textContent += `${heading}\n\n${content}`;
+          downloads.push(await this.storeAttachment(file, assetsDir, fileSlug, previousRecords.get(file.id), {
+            exportMimeType: 'application/pdf',
+            extension: '.pdf'
+          }));
+        }
+
+        // Markdown-Dateien werden unverändert übernommen (mit KI nur als Platzhalter, eingesetzt nach der Transformation)
+        else if (kind === 'markdown') {
+          const content = (await this.driveService.downloadFile(file.id)).toString('utf-8').trim();
+          if (protectMarkdown) {
+            const placeholder = `<!-- sync:markdown:${tables.length + 1} -->`;
+            tables.push({ name: file.name, kind: 'markdown', placeholder, content });
+            textContent += `${heading}\n\n${placeholder}`;
+          } else {
+            textContent += `${heading}\n\n${content}`;
+          }
+        }
+
+        // Bilder
+        else if (kind === 'image') {
+          const image = await this.storeImage(file, assetsDir, fileSlug, previousRecords.get(file.id), {
+            keepExtension: clashingImageIds.has(file.id)
+          });
+          images.push({ name: file.name, ...image });
+        }
+
+        // PDFs und sonstige Anhänge
+        else if (kind === 'attachment') {
+          downloads.push(await this.storeAttachment(file, assetsDir, fileSlug, previousRecords.get(file.id)));
+        }
+
+        else {
+          Logger.info(`  Dateityp nicht unterstützt, übersprungen: ${file.name} (${file.mimeType})`);
+          unsupported.push({ name: file.name, mimeType: file.mimeType });
+        }
+
+      } catch (error) {
+        Logger.error(`  Fehler beim Verarbeiten von "${file.name}":`, error.message);
+        // Bilder mit nicht entfernbaren Metadaten werden im Merge Request aufgeführt
+        if (error.unsupported) {
+          unsupported.push({ name: file.name, mimeType: `${file.mimeType}, Metadaten nicht entfernbar` });
+        } else {
+          failed.push(file.name);
         }
       }
-      
-      // Prüfe ob sync-origin bereits existiert
-      const syncOrigin = remotes.find(r => r.name === 'sync-origin');
-      
-      if (syncOrigin) {
-        // Aktualisiere URL falls sie sich geändert hat
-        await this.git.remote(['set-url', 'sync-origin', httpsUrl]);
-        Logger.debug('sync-origin Remote aktualisiert (Token wird via Env genutzt)');
-      } else {
-        // Erstelle neuen sync-origin Remote
-        await this.git.addRemote('sync-origin', httpsUrl);
-        Logger.debug('sync-origin Remote erstellt (Token wird via Env genutzt)');
+    }
+
+    return { textContent, images, tables, downloads, unsupported, failed };
+  }
+
+  /**
+   * Ordne eine Drive-Datei einem Verarbeitungstyp zu
+   * Nicht exportierbare Google-Dateien (Formulare, Zeichnungen, Verknüpfungen, ...) sind "unsupported"
+   */
+  getFileKind(file) {
+    const kinds = {
+      'application/vnd.google-apps.document': 'doc',
+      'application/vnd.google-apps.spreadsheet': 'sheet',
+      'application/vnd.google-apps.presentation': 'slides',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'word',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'excel',
+      'text/markdown': 'markdown',
+      'text/x-markdown': 'markdown'
+    };
+
+    if (kinds[file.mimeType]) return kinds[file.mimeType];
+    if (/\.(md|markdown)$/i.test(file.name)) return 'markdown';
+    if (file.mimeType.startsWith('application/vnd.google-apps.')) return 'unsupported';
+    if (file.mimeType.startsWith('image/')) return 'image';
+    return 'attachment';
+  }
+
+  /**
+   * Speichere einen Anhang (PDF, Office-Datei, Archiv, ...) im Assets-Verzeichnis
+   * Google-Dateien werden über exportMimeType exportiert (z.B. Slides als PDF).
+   * Unveränderte Dateien (md5Checksum bzw. Version) werden nicht erneut geladen.
+   * @returns {Promise<{name: string, path: string, size: number|null}>}
+   */
+  async storeAttachment(file, assetsDir, fileSlug, previousRecord, { exportMimeType = null, extension = '' } = {}) {
+    const fileName = `${this.sanitizeFileName(file.name)}${extension}`;
+    const filePath = path.join(assetsDir, fileName);
+    const download = { name: `${file.name}${extension}`, path: this.getAssetUrl(fileSlug, fileName) };
+
+    const unchanged = !this.config.forceUpdate && previousRecord &&
+      (file.md5Checksum
+        ? previousRecord.md5Checksum === file.md5Checksum
+        : Boolean(previousRecord.version) && previousRecord.version === file.version) &&
+      await this.filesExist([filePath]);
+
+    // Im Dry-Run werden Anhänge weder heruntergeladen noch geschrieben
+    if (unchanged || this.config.dryRun) {
+      let size = file.size ? Number(file.size) : null;
+      try {
+        size = (await fs.stat(filePath)).size;
+      } catch (error) {
+        // Noch nicht vorhanden
       }
-      
-      // Nutze sync-origin für alle Operationen
-      this.remoteName = 'sync-origin';
-      
-    } catch (error) {
-      Logger.error('Fehler beim Erstellen des sync-origin Remote:', error.message);
-      // Fallback zu origin
-      this.remoteName = 'origin';
+      return { ...download, size };
     }
+
+    const buffer = exportMimeType
+      ? await this.driveService.exportFile(file.id, exportMimeType)
+      : await this.driveService.downloadFile(file.id);
+    await this.writeFileIfChanged(filePath, buffer);
+    Logger.debug(`    Anhang gespeichert: ${filePath}`);
+
+    return { ...download, size: buffer.length };
   }
 
   /**
-   * Ermittle den aktuellen Branch
+   * Lade ein Bild herunter, optimiere es und speichere es im Assets-Verzeichnis
+   * Hat sich die md5Checksum seit dem letzten Sync nicht geändert und liegen alle Dateien
+   * noch vor, wird nichts heruntergeladen oder geschrieben.
+   * @returns {Promise<{path: string, fallbackPath?: string, width?: number, height?: number}>}
    */
-  async getCurrentBranch() {
+  async storeImage(file, assetsDir, fileSlug, previousRecord, { keepExtension = false } = {}) {
+    const target = this.getImageTarget(this.getImageFileName(file), file.mimeType, assetsDir, fileSlug, { keepExtension });
+
+    const unchanged = !this.config.forceUpdate &&
+      file.md5Checksum && previousRecord?.md5Checksum === file.md5Checksum &&
+      await this.filesExist(target.outputPaths);
+
+    // Im Dry-Run werden Bilder weder heruntergeladen noch geschrieben
+    if (unchanged || this.config.dryRun) {
+      if (unchanged) {
+        Logger.debug(`    Bild unverändert: ${target.fileName}`);
+      }
+      return { ...target.image, ...(await this.imageOptimizer.getDimensions(target.outputPaths[0])) };
+    }
+
+    const imageBuffer = await this.driveService.downloadImage(file.id);
+    return await this.writeImage(imageBuffer, target);
+  }
+
+  /**
+   * Lade die in ein Google Doc eingebetteten Bilder herunter und speichere sie im Assets-Verzeichnis
+   * Liefert eine Map: Bild-URL aus dem HTML-Export → Bild ({ path, width, height, ... })
+   */
+  async storeEmbeddedImages(html, file, assetsDir, fileSlug) {
+    const sources = this.getEmbeddedImageSources(html);
+    const stored = new Map();
+
+    for (const [index, src] of sources.entries()) {
+      // Name aus Dokument und Position, z.B. "Dokument-bild-1.webp"
+      const baseName = `${this.sanitizeFileName(file.name)}-bild-${index + 1}`;
+
+      try {
+        // Das Bild ist meist schon geladen (Inhalts-Hash im Diff-Check), sein Typ bestimmt den Dateinamen
+        const { buffer, mimeType } = await this.loadEmbeddedImage(src);
+        const target = this.getImageTarget(`${baseName}${this.getImageExtension(mimeType)}`, mimeType, assetsDir, fileSlug);
+
+        // Im Dry-Run wird nichts geschrieben
+        if (this.config.dryRun) {
+          stored.set(src, { ...target.image, ...(await this.imageOptimizer.getDimensions(target.outputPaths[0])) });
+          continue;
+        }
+
+        stored.set(src, await this.writeImage(buffer, target));
+      } catch (error) {
+        Logger.error(`    Eingebettetes Bild ${index + 1} aus "${file.name}" konnte nicht geladen werden:`, error.message);
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Hilfsfunktion: Dateiname eines Bildes aus Drive im Assets-Verzeichnis (vor der Optimierung)
+   */
+  getImageFileName(file) {
+    return `${this.sanitizeFileName(file.name)}${this.getImageExtensionIfNeeded(file.name, file.mimeType)}`;
+  }
+
+  /**
+   * Finde Bilder, deren optimierte Fassung denselben Dateinamen bekäme (z.B. foo.png und foo.jpg → foo.webp)
+   * Liefert die IDs aller beteiligten Bilder - sie erhalten die ursprüngliche Endung im Namen (foo-png.webp)
+   */
+  findImageNameClashes(imageFiles, assetsDir, fileSlug) {
+    const targets = imageFiles.map(file => ({
+      id: file.id,
+      fileName: this.getImageTarget(this.getImageFileName(file), file.mimeType, assetsDir, fileSlug).fileName
+    }));
+    const counts = new Map();
+    targets.forEach(target => counts.set(target.fileName, (counts.get(target.fileName) || 0) + 1));
+
+    return new Set(targets.filter(target => counts.get(target.fileName) > 1).map(target => target.id));
+  }
+
+  /**
+   * Ermittle Dateinamen und Pfade für ein Bild: optimiertes Bild und (optional) Fallback im Originalformat
+   * keepExtension: ursprüngliche Endung in den Namen übernehmen (bei Namenskollisionen, siehe findImageNameClashes)
+   */
+  getImageTarget(originalName, mimeType, assetsDir, fileSlug, { keepExtension = false } = {}) {
+    const extension = path.extname(originalName);
+    const baseStem = originalName.slice(0, originalName.length - extension.length);
+    const stem = keepExtension && extension ? `${baseStem}-${extension.slice(1).toLowerCase()}` : baseStem;
+
+    const optimize = this.config.imageOptimization && this.imageOptimizer.canOptimize(mimeType);
+    const targetExtension = optimize ? this.imageOptimizer.getTargetExtension() : null;
+    const fileName = targetExtension ? `${stem}${targetExtension}` : originalName;
+    const fallbackName = targetExtension && this.config.imageKeepOriginal && fileName !== originalName
+      ? originalName
+      : null;
+
+    // Pfad vom Markdown (docs/{fileSlug}.md bzw. docs/{fileSlug}/index.md) zum Bild (/assets/{fileSlug}/)
+    const image = { path: this.getAssetUrl(fileSlug, fileName) };
+    if (fallbackName) {
+      image.fallbackPath = this.getAssetUrl(fileSlug, fallbackName);
+    }
+
+    return {
+      originalName,
+      fileName,
+      fallbackName,
+      optimize,
+      assetsDir,
+      fileSlug,
+      image,
+      outputPaths: [fileName, fallbackName].filter(Boolean).map(name => path.join(assetsDir, name))
+    };
+  }
+
+  /**
+   * Optimiere ein Bild und schreibe es (nur bei geänderten Bytes) ins Assets-Verzeichnis
+   * Metadaten (EXIF/GPS) werden immer entfernt - Bilder, bei denen das nicht möglich ist, werden
+   * nicht übernommen (Fehler mit unsupported: true)
+   */
+  async writeImage(imageBuffer, target) {
+    const imagePath = target.outputPaths[0];
+
+    if (!target.optimize) {
+      const stripped = await this.stripImageMetadata(imageBuffer, target);
+      await this.writeFileIfChanged(imagePath, stripped.buffer);
+      Logger.debug(`    Bild gespeichert (ohne Metadaten): ${imagePath}`);
+      return { ...target.image, width: stripped.width, height: stripped.height };
+    }
+
     try {
-      const status = await this.git.status();
-      return status.current;
+      const optimized = await this.imageOptimizer.optimize(imageBuffer, this.config.imageFormat === 'original' ? null : this.config.imageFormat);
+      await this.writeFileIfChanged(imagePath, optimized.buffer);
+
+      if (target.fallbackName) {
+        const fallback = await this.imageOptimizer.optimize(imageBuffer);
+        await this.writeFileIfChanged(target.outputPaths[1], fallback.buffer);
+      }
+
+      Logger.debug(`    Bild optimiert: ${imagePath} (${Math.round(imageBuffer.length / 1024)} KB → ${Math.round(optimized.buffer.length / 1024)} KB, ${optimized.width}×${optimized.height})`);
+      return { ...target.image, width: optimized.width, height: optimized.height };
     } catch (error) {
-      Logger.error('Fehler beim Ermitteln des aktuellen Branches:', error.message);
-      throw error;
+      // Nicht optimierbares Bild: nur ohne Metadaten unter dem Originalnamen übernehmen
+      Logger.error(`    Bild konnte nicht optimiert werden, übernehme Original ohne Metadaten: ${target.originalName}`, error.message);
+      const stripped = await this.stripImageMetadata(imageBuffer, target);
+      await this.writeFileIfChanged(path.join(target.assetsDir, target.originalName), stripped.buffer);
+      return { path: this.getAssetUrl(target.fileSlug, target.originalName), width: stripped.width, height: stripped.height };
     }
   }
 
   /**
-   * Erstelle einen neuen Branch vom aktuellen Branch aus
+   * Entferne die Metadaten eines Bildes, das nicht optimiert wird
+   * Wirft einen Fehler mit unsupported: true, wenn das nicht möglich ist (Bild wird dann nicht übernommen)
    */
-  async createBranch(branchName) {
+  async stripImageMetadata(imageBuffer, target) {
     try {
-      const currentBranch = await this.getCurrentBranch();
-      Logger.debug(`Erstelle Branch: ${branchName} (Basis: ${currentBranch})`);
-      
-      // Erstelle/aktualisiere sync-origin Remote für Token-Auth
-      await this.ensureSyncRemote();
-      
-      // Hole aktuelle Änderungen vom aktuellen Branch
-      await this.git.pull(this.remoteName, currentBranch);
-      
-      // Erstelle neuen Branch vom aktuellen Branch aus
-      await this.git.checkoutLocalBranch(branchName);
-      
-      Logger.success(`Branch ${branchName} erstellt von ${currentBranch}`);
-      return currentBranch; // Gebe Basis-Branch zurück für spätere Verwendung
+      return await this.imageOptimizer.stripMetadata(imageBuffer);
     } catch (error) {
-      Logger.error('Fehler beim Erstellen des Branches:', error.message);
-      throw error;
+      const unsupportedError = new Error(`Metadaten (EXIF/GPS) von ${target.originalName} können nicht entfernt werden: ${error.message}`);
+      unsupportedError.unsupported = true;
+      throw unsupportedError;
     }
   }
 
   /**
-   * Committe Änderungen (nur im angegebenen Pfad)
+   * Hilfsfunktion: Schreibe eine Datei nur, wenn sich ihr Inhalt geändert hat
    */
-  async commitChanges(message, contentPath) {
+  async writeFileIfChanged(filePath, buffer) {
     try {
-      Logger.debug(`Füge Änderungen in ${contentPath}/ hinzu...`);
-      await this.git.add(contentPath);
-      
-      const status = await this.git.status();
-      
-      // Prüfe ob es staged Änderungen gibt
-      if (status.staged.length === 0) {
-        Logger.info('Keine Änderungen zum Committen');
+      if ((await fs.readFile(filePath)).equals(buffer)) {
         return false;
       }
+    } catch (error) {
+      // Datei existiert noch nicht
+    }
 
-      Logger.debug(`Committe ${status.staged.length} Dateien aus ${contentPath}/...`);
-      await this.git.commit(message);
-      
-      Logger.success('Änderungen committed');
+    await fs.writeFile(filePath, buffer);
+    return true;
+  }
+
+  /**
+   * Hilfsfunktion: Prüfe, ob alle Dateien existieren
+   */
+  async filesExist(filePaths) {
+    try {
+      await Promise.all(filePaths.map(filePath => fs.access(filePath)));
       return true;
     } catch (error) {
-      Logger.error('Fehler beim Committen:', error.message);
-      throw error;
+      return false;
     }
   }
 
   /**
-   * Pushe Branch zum Remote
+   * Lade ein Google Doc als Markdown (HTML-Export + DocsMarkdownConverter)
+   * Eingebettete Bilder werden gespeichert und an ihrer Position eingebunden (images wird ergänzt).
+   * Fällt auf den Plaintext-Export zurück, falls der HTML-Export fehlschlägt
    */
-  async pushBranch(branchName) {
+  async loadDocAsMarkdown(file, headingOffset, { assetsDir, fileSlug, images }) {
     try {
-      Logger.debug(`Pushe Branch: ${branchName} (Remote: ${this.remoteName})`);
-      
-      await this.git.push(this.remoteName, branchName, ['--set-upstream']);
-      Logger.success(`Branch ${branchName} gepusht`);
-      return true;
+      const html = await this.exportDocHtml(file);
+      return await this.convertHtmlDocument(html, file, headingOffset, { assetsDir, fileSlug, images });
     } catch (error) {
-      Logger.error('Fehler beim Pushen:', error.message);
-      throw error;
+      Logger.error(`  HTML-Konvertierung von "${file.name}" fehlgeschlagen, nutze Plaintext:`, error.message);
+      return await this.driveService.downloadDocContent(file.id);
     }
   }
 
   /**
-   * Gehe zurück zum angegebenen Branch
+   * Lade eine hochgeladene Word-Datei (.docx) als Markdown (mammoth → HTML → DocsMarkdownConverter)
+   * Eingebettete Bilder liefert mammoth als data:-URIs, sie werden wie bei Google Docs gespeichert
    */
-  async returnToBranch(branchName) {
+  async loadWordAsMarkdown(file, headingOffset, { assetsDir, fileSlug, images }) {
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer: await this.driveService.downloadFile(file.id) });
+    messages
+      .filter(message => message.type === 'error')
+      .forEach(message => Logger.debug(`    ${file.name}: ${message.message}`));
+
+    return await this.convertHtmlDocument(html, file, headingOffset, { assetsDir, fileSlug, images });
+  }
+
+  /**
+   * Wandle ein HTML-Dokument in Markdown um und übernimm die eingebetteten Bilder
+   */
+  async convertHtmlDocument(html, file, headingOffset, { assetsDir, fileSlug, images }) {
+    // Eingebettete Bilder ins Assets-Verzeichnis übernehmen (nicht geladene Bilder entfallen)
+    const embeddedImages = await this.storeEmbeddedImages(html, file, assetsDir, fileSlug);
+    embeddedImages.forEach(image => {
+      images.push({ name: `${file.name} (eingebettet)`, inline: true, ...image });
+    });
+
+    return this.docsConverter.convert(html, {
+      headingOffset,
+      resolveImage: (src) => embeddedImages.get(src) || null,
+      renderImage: (image, alt) => this.contentProcessor.renderImage(image, alt)
+    });
+  }
+
+  /**
+   * Lade alle sichtbaren Arbeitsblätter einer Excel-Datei (.xlsx) als Markdown-Tabellen
+   */
+  async loadExcelAsMarkdown(file, headingLevel) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await this.driveService.downloadFile(file.id));
+
+    const tabs = workbook.worksheets
+      .filter(worksheet => worksheet.state === 'visible')
+      .map(worksheet => {
+        const rows = [];
+        for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+          const row = worksheet.getRow(rowNumber);
+          const cells = [];
+          for (let columnNumber = 1; columnNumber <= worksheet.columnCount; columnNumber++) {
+            cells.push(row.getCell(columnNumber).text);
+          }
+          rows.push(cells);
+        }
+        return { title: worksheet.name, rows };
+      });
+
+    return this.sheetsRenderer.renderTabs(tabs, { headingLevel, headerRow: this.config.sheetsHeaderRow });
+  }
+
+  /**
+   * Lade den Text einer Google-Slides-Präsentation (pro Lauf und Version nur einmal)
+   */
+  async exportSlidesText(file) {
+    const cacheKey = `slides:${file.id}:${file.version || file.modifiedTime}`;
+    if (!this.exportCache.has(cacheKey)) {
+      this.exportCache.set(cacheKey, this.driveService.exportFile(file.id, 'text/plain')
+        .then(buffer => buffer.toString('utf-8')));
+    }
+
     try {
-      await this.git.checkout(branchName);
-      Logger.debug(`Zurück auf ${branchName} Branch`);
-      // sync-origin bleibt bestehen für zukünftige Runs
+      return await this.exportCache.get(cacheKey);
     } catch (error) {
-      Logger.error(`Fehler beim Wechsel zu ${branchName}:`, error.message);
+      this.exportCache.delete(cacheKey);
+      throw error;
     }
   }
-}
 
-// ========================================
-// Git Provider Service (GitLab/GitHub)
-// ========================================
+  /**
+   * Lade alle Tabellenblätter eines Google Sheets als Markdown-Tabellen
+   */
+  async loadSheetAsMarkdown(file, headingLevel) {
+    const tabs = await this.exportSheetTabs(file);
+    return this.sheetsRenderer.renderTabs(tabs, { headingLevel, headerRow: this.config.sheetsHeaderRow });
+  }
 
-class GitProviderService {
-  constructor(apiUrl, token, projectId) {
-    this.apiUrl = apiUrl;
-    this.token = token;
-    this.projectId = projectId;
-    
-    // Erkenne Provider anhand der API URL
-    this.isGitHub = apiUrl.includes('github.com') || apiUrl.includes('api.github.com');
-    this.providerName = this.isGitHub ? 'GitHub' : 'GitLab';
-    
-    Logger.debug(`GitProviderService initialisiert (${this.providerName})`);
-    // Verwende passenden Auth-Header für Provider
-    const headers = this.isGitHub 
-      ? { 'Authorization': `token ${token}` }
-      : { 'PRIVATE-TOKEN': token };
-    
-    this.client = axios.create({
-      baseURL: apiUrl,
-      headers: headers
+  /**
+   * Setze die vor der KI geschützten Tabellen und Markdown-Dateien an ihren Platzhaltern ein
+   * Die Inhalte werden mit Markern umschlossen, damit sie beim nächsten Lauf wieder ersetzt werden können.
+   * Hat die KI einen Platzhalter entfernt, wird der Inhalt am Ende der Seite angehängt
+   */
+  insertProtectedTables(content, tables) {
+    let result = content;
+
+    for (const table of tables) {
+      const block = `<!-- sync:${table.kind}:start ${table.name} -->\n${table.content}\n<!-- sync:${table.kind}:end -->`;
+
+      if (result.includes(table.placeholder)) {
+        result = result.split(table.placeholder).join(block);
+      } else {
+        const label = table.kind === 'markdown' ? 'Markdown-Datei' : 'Tabelle';
+        Logger.error(`  Platzhalter für ${label} "${table.name}" fehlt in der KI-Ausgabe - ${label} wird angehängt`);
+        result = `${result.trimEnd()}\n\n## ${table.name}\n\n${block}`;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Ersetze bereits eingesetzte Tabellen und Markdown-Dateien im bestehenden Inhalt durch die Platzhalter,
+   * damit die KI auch die alten Inhalte nie zu sehen bekommt
+   */
+  protectExistingTables(existingContent, tables) {
+    return existingContent.replace(
+      /<!-- sync:(table|markdown):start (.*?) -->[\s\S]*?<!-- sync:\1:end -->/g,
+      (match, kind, name) => {
+        const table = tables.find(t => t.kind === kind && t.name === name);
+        return table ? table.placeholder : '';
+      }
+    );
+  }
+
+  /**
+   * Ersetze geschützte Bereiche im bestehenden Inhalt durch Platzhalter <!-- sync:keep:N -->
+   * Zu jedem Bereich wird die vorangehende Überschrift gemerkt (Fallback-Position beim Einsetzen)
+   */
+  protectKeepRegions(existingContent) {
+    const regions = [];
+    if (!existingContent) {
+      return { content: existingContent, regions };
+    }
+
+    const content = existingContent.replace(KEEP_REGION_PATTERN, (match, offset) => {
+      const headings = existingContent.slice(0, offset).match(/^#{1,6}[ \t]+.+$/gm);
+      const placeholder = `<!-- sync:keep:${regions.length + 1} -->`;
+      regions.push({ placeholder, content: match, heading: headings ? headings[headings.length - 1].trim() : null });
+      return placeholder;
     });
+
+    return { content, regions };
+  }
+
+  /**
+   * Setze geschützte Bereiche anstelle ihrer Platzhalter wieder ein
+   * Hat die KI einen Platzhalter entfernt (oder wurde ohne KI konvertiert), wird der Bereich am Ende
+   * des Abschnitts seiner bisherigen Überschrift eingefügt - gibt es sie nicht mehr, am Seitenende
+   */
+  insertKeepRegions(content, regions) {
+    let result = content;
+
+    for (const region of regions) {
+      const index = result.indexOf(region.placeholder);
+
+      if (index !== -1) {
+        // Doppelte Platzhalter entfernen, der Bereich wird nur einmal eingesetzt
+        const rest = result.slice(index + region.placeholder.length).replace(new RegExp(`\\n*${region.placeholder}[ \\t]*`, 'g'), '');
+        result = result.slice(0, index) + region.content + rest;
+        continue;
+      }
+
+      Logger.info(`  Geschützter Bereich ${region.placeholder} fehlt in der neuen Fassung - wird ${region.heading ? `unter "${region.heading}"` : 'am Seitenende'} eingefügt`);
+      result = this.insertIntoSection(result, region.heading, region.content);
+    }
+
+    return result;
+  }
+
+  /**
+   * Füge einen Block am Ende des Abschnitts einer Überschrift ein (vor der nächsten Überschrift)
+   * Die Überschrift wird über ihren Text gefunden, die Ebene darf sich geändert haben
+   */
+  insertIntoSection(content, heading, block) {
+    const headingText = heading ? heading.replace(/^#+[ \t]+/, '') : null;
+    const lines = content.split('\n');
+    const start = headingText ? lines.findIndex(line => line.replace(/^#{1,6}[ \t]+/, '') === headingText && /^#{1,6}[ \t]/.test(line)) : -1;
+
+    if (start === -1) {
+      return `${content.trimEnd()}\n\n${block}`;
+    }
+
+    let end = lines.findIndex((line, i) => i > start && /^#{1,6}[ \t]+\S/.test(line));
+    if (end === -1) {
+      end = lines.length;
+    }
+
+    const before = lines.slice(0, end).join('\n').trimEnd();
+    const after = lines.slice(end).join('\n').trim();
+    return `${before}\n\n${block}${after ? `\n\n${after}` : ''}`;
   }
 
   /**
-   * Erstelle einen Merge Request
+   * Füge den Abschnitt "Downloads" (PDFs, Anhänge) am Seitenende ein
+   * Der Abschnitt wird mit Markern umschlossen und bei jedem Lauf neu erzeugt
    */
-  async createMergeRequest(sourceBranch, targetBranch, title, description) {
-    try {
-      Logger.debug(`Erstelle Merge Request: ${sourceBranch} → ${targetBranch}`);
+  insertDownloads(content, downloads) {
+    const result = this.removeDownloads(content).trimEnd();
+    if (downloads.length === 0) {
+      return result;
+    }
 
-      const response = await this.client.post(`/projects/${this.projectId}/merge_requests`, {
-        source_branch: sourceBranch,
-        target_branch: targetBranch,
-        title: title,
-        description: description,
-        labels: ['Content-Update'],
-        draft: true
+    const lines = [...downloads]
+      .sort((a, b) => a.name.localeCompare(b.name, 'de'))
+      .map(download => {
+        const type = path.extname(download.path).slice(1).toUpperCase();
+        const details = [type, download.size ? this.formatFileSize(download.size) : null].filter(Boolean).join(', ');
+        return `- [${download.name.replace(/[[\]]/g, '')}](${encodeURI(download.path)})${details ? ` (${details})` : ''}`;
       });
 
-      Logger.success(`Merge Request erstellt: ${response.data.web_url}`);
-      return response.data;
-    } catch (error) {
-      Logger.error('Fehler beim Erstellen des Merge Requests:', error.message);
-      if (error.response) {
-        Logger.error('GitLab Antwort:', error.response.data);
-      }
-      throw error;
-    }
+    return `${result}\n\n<!-- sync:downloads:start -->\n## Downloads\n\n${lines.join('\n')}\n<!-- sync:downloads:end -->`;
   }
-}
 
-// ========================================
-// Content Synchronizer (Hauptlogik)
-// ========================================
+  /**
+   * Entferne einen zuvor eingefügten Abschnitt "Downloads"
+   */
+  removeDownloads(content) {
+    return content.replace(/\n*<!-- sync:downloads:start -->[\s\S]*?<!-- sync:downloads:end -->/g, '');
+  }
 
-class ContentSynchronizer {
-  constructor(config) {
-    this.config = config;
-    this.driveService = new DriveService(config.googleApiKey);
-    this.contentProcessor = new ContentProcessor(config.googleApiKey, config.geminiModel, config.geminiSystemPrompt);
-    this.gitService = new GitService(config.repoPath, config.gitAccessToken, config.gitUserName, config.gitUserEmail);
-    this.gitProviderService = new GitProviderService(config.gitApiUrl, config.gitAccessToken, config.gitProjectId);
-    this.changesDetected = false;
-    this.processedFolders = [];
-    this.contextDocuments = []; // Geladene Context-Dokumente aus Stammverzeichnis
-    this.baseBranch = null; // Wird beim Branch-Erstellen gesetzt
+  /**
+   * Hilfsfunktion: Dateigröße lesbar formatieren (z.B. "1,2 MB")
+   */
+  formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${size.toLocaleString('de-DE', { maximumFractionDigits: unit === 0 ? 0 : 1 })} ${units[unit]}`;
   }
 
   /**
-   * Lade alle Context-Dateien aus dem Drive-Stammverzeichnis
+   * Prüfe, ob ein Ordner mit KI transformiert oder deterministisch konvertiert wird
    */
-  async loadContextDocuments() {
-    try {
-      Logger.info('\n--- Lade Context-Dokumente aus Stammverzeichnis ---');
-      
-      // Hole alle Dateien (keine Ordner) aus dem Stammverzeichnis
-      const allFiles = await this.driveService.listFiles(this.config.driveFolderId);
-      
-      // Filtere nur Docs und Sheets (keine Bilder, keine Ordner)
-      const contextFiles = allFiles.filter(file => 
-        file.mimeType === 'application/vnd.google-apps.document' ||
-        file.mimeType === 'application/vnd.google-apps.spreadsheet'
-      );
-      
-      if (contextFiles.length === 0) {
-        Logger.info('Keine Context-Dokumente im Stammverzeichnis gefunden');
-        Logger.info('Hinweis: Legen Sie Dateien wie "Glossar", "Satzung" oder "Wiki" im Hauptordner ab,');
-        Logger.info('         um sie als zusätzlichen Kontext für die KI zu nutzen.');
-        return [];
-      }
-      
-      Logger.info(`${contextFiles.length} Context-Datei(en) gefunden:`);
-      const loadedDocs = [];
-      
-      for (const file of contextFiles) {
-        try {
-          Logger.info(`  Lade "${file.name}"...`);
-          
-          let content = '';
-          if (file.mimeType === 'application/vnd.google-apps.document') {
-            content = await this.driveService.downloadDocContent(file.id);
-          } else if (file.mimeType === 'application/vnd.google-apps.spreadsheet') {
-            content = await this.driveService.downloadSheetContent(file.id);
-          }
-          
-          loadedDocs.push({
-            name: file.name,
-            content: content,
-            type: file.mimeType
-          });
-          
-          Logger.success(`  ✓ "${file.name}" geladen (${content.length} Zeichen)`);
-        } catch (error) {
-          Logger.error(`  ✗ Fehler beim Laden von "${file.name}":`, error.message);
-        }
-      }
-      
-      if (loadedDocs.length > 0) {
-        Logger.success(`📚 ${loadedDocs.length} Context-Dokument(e) erfolgreich geladen und werden in allen Prompts verwendet`);
-      }
-      
-      return loadedDocs;
-    } catch (error) {
-      Logger.error('Fehler beim Laden der Context-Dokumente:', error.message);
-      return [];
+  shouldUseAi(folder) {
+    // Ohne KI-Backend (LLM_PROVIDER=none) wie mit --no-ai: Frontmatter und H1 aus createPlainMarkdown
+    if (!this.config.useAi || this.config.llmProvider === 'none') return false;
+    if (this.config.dryRun && !this.config.dryRunAi) return false;
+    // "mode" aus der Steuerdatei hat Vorrang vor CONVERSION_MODE und DETERMINISTIC_FOLDERS
+    if (folder.config?.mode) return folder.config.mode === 'ai';
+    if (this.config.conversionMode === 'deterministic') return false;
+    return !this.isFolderSelected(folder, this.config.deterministicFolders);
+  }
+
+  /**
+   * Sammle die Angaben einer geänderten Seite für Commit und Merge Request
+   * (Zusammenfassung, Quelldateien, auslösende Änderungen und Hinweise)
+   */
+  async createPageReport(folder, mdFilePath, assetsDir, { existingContent, transformedContent, manualEdit, files, sourceRecords, previousRecords, unsupported, useAi }) {
+    const pagePath = path.relative(this.config.repoPath, mdFilePath).split(path.sep).join('/');
+    const assetsPath = path.relative(this.config.repoPath, assetsDir).split(path.sep).join('/');
+    const warnings = unsupported.map(file => `Nicht unterstützte Datei übersprungen: \`${file.name}\` (${file.mimeType})`);
+
+    if (useAi && this.contentProcessor.lastRepairAttempts > 0) {
+      warnings.push(`KI-Ausgabe erst nach ${this.contentProcessor.lastRepairAttempts} Reparaturversuch(en) gültig - bitte genau prüfen`);
+    }
+
+    if (manualEdit?.action) {
+      warnings.push(`Manuelle Änderungen an der Seite wurden ${manualEdit.action}${manualEdit.action === 'überschrieben' ? ' - bitte prüfen und ggf. erneut anwenden' : ''}`);
     }
+
+    return {
+      folder: folder.displayPath,
+      folderId: folder.id,
+      slugPath: folder.slugPath,
+      root: { name: this.config.mappingName || null, contentPath: this.config.contentPath, assetsPath: this.config.assetsPath },
+      pagePath,
+      summary: await this.summarizePageChanges(pagePath, existingContent, transformedContent),
+      sources: files.map(file => ({ name: file.name, url: this.getDriveFileUrl(file) })),
+      triggers: this.getChangedSources(previousRecords, sourceRecords, files),
+      removedAssets: this.removedAssets.filter(asset => path.dirname(asset).split(path.sep).join('/') === assetsPath),
+      manualDiff: manualEdit?.diff || null,
+      warnings
+    };
   }
 
   /**
-   * Prüfe ob bereits Änderungen im Content-Verzeichnis vorliegen
+   * Fasse die Änderungen einer Seite zusammen: Diff-Statistik und betroffene Abschnitte (H2)
    */
-  async hasExistingChanges() {
-    try {
-      const status = await this.gitService.git.status();
-      
-      // Filtere nur Änderungen im contentPath
-      const contentChanges = status.files.filter(file => {
-        return file.path.startsWith(this.config.contentPath + '/');
-      });
-      
-      const hasChanges = contentChanges.length > 0;
-      
-      if (hasChanges) {
-        Logger.info(`📝 Erkannte bereits vorhandene Änderungen in ${this.config.contentPath}/:`)
-        contentChanges.slice(0, 5).forEach(file => {
-          Logger.info(`   - ${file.path} [${file.working_dir}]`);
-        });
-        if (contentChanges.length > 5) {
-          Logger.info(`   ... und ${contentChanges.length - 5} weitere Datei(en)`);
-        }
+  async summarizePageChanges(pagePath, oldContent, newContent) {
+    if (!oldContent) {
+      return `Neue Seite (${newContent.trim().split('\n').length} Zeilen)`;
+    }
+
+    const diff = await this.gitService.diffContents(pagePath, `${oldContent.trim()}\n`, `${newContent.trim()}\n`);
+    let added = 0;
+    let removed = 0;
+    let inHunk = false;
+    for (const line of diff.split('\n')) {
+      if (line.startsWith('@@')) {
+        inHunk = true;
+      } else if (inHunk && line.startsWith('+')) {
+        added++;
+      } else if (inHunk && line.startsWith('-')) {
+        removed++;
       }
-      
-      return hasChanges;
-    } catch (error) {
-      Logger.debug('Fehler beim Prüfen des Git-Status:', error.message);
-      return false;
     }
+
+    if (added === 0 && removed === 0) {
+      return 'Inhalt unverändert, nur Metadaten aktualisiert';
+    }
+
+    const oldSections = this.splitSections(oldContent);
+    const newSections = this.splitSections(newContent);
+    const sections = [
+      ...[...newSections].filter(([heading, body]) => oldSections.get(heading) !== body)
+        .map(([heading]) => `„${heading}“ (${oldSections.has(heading) ? 'geändert' : 'neu'})`),
+      ...[...oldSections.keys()].filter(heading => !newSections.has(heading))
+        .map(heading => `„${heading}“ (entfernt)`)
+    ];
+
+    return `+${added} / −${removed} Zeilen${sections.length > 0 ? `; Abschnitte: ${sections.join(', ')}` : ''}`;
   }
 
   /**
-   * Hauptmethode: Synchronisation starten
+   * Teile Markdown an den H2-Überschriften auf (Überschrift → Inhalt, Text davor unter "Einleitung")
    */
-  async sync() {
-    try {
-      Logger.info('===========================================');
-      Logger.info('Starte Content Synchronisation');
-      Logger.info('===========================================');
-
-      // Validiere Konfiguration
-      this.validateConfig();
+  splitSections(content) {
+    const sections = new Map();
+    let heading = 'Einleitung';
+    let lines = [];
 
-      // Prüfe ob bereits Änderungen vorliegen (z.B. von früherem Lauf)
-      const hasExistingChanges = await this.hasExistingChanges();
-      
-      if (hasExistingChanges) {
-        Logger.info('\n⚡ SKIP-Modus aktiviert: Überspringe Drive/KI-Verarbeitung');
-        Logger.info('   Grund: Es liegen bereits Änderungen im Working Directory vor');
-        Logger.info('   Fahre direkt mit Git-Operationen fort...\n');
-        this.changesDetected = true;
-        this.processedFolders.push('Vorhandene Änderungen');
+    for (const line of content.split('\n')) {
+      const match = line.match(/^##\s+(.+?)\s*#*$/);
+      if (match) {
+        sections.set(heading, lines.join('\n').trim());
+        heading = match[1];
+        lines = [];
       } else {
-        // Normale Verarbeitung: Drive → KI → Dateien schreiben
-        Logger.info('\n📥 Starte normale Verarbeitung (Drive → KI → Git)\n');
-        
-        // Lade Context-Dokumente aus dem Stammverzeichnis (einmalig für alle Ordner)
-        this.contextDocuments = await this.loadContextDocuments();
+        lines.push(line);
+      }
+    }
+    sections.set(heading, lines.join('\n').trim());
 
-        // Hole alle Unterordner aus Google Drive
-        Logger.info(`Lade Ordner aus Google Drive (ID: ${this.config.driveFolderId})...`);
-        const folders = await this.driveService.listFolders(this.config.driveFolderId);
-        Logger.info(`${folders.length} Ordner gefunden`);
+    return sections;
+  }
 
-        // Verarbeite jeden Ordner
-        for (const folder of folders) {
-          await this.processFolder(folder);
-        }
+  /**
+   * Ermittle die Drive-Dateien, die das Update ausgelöst haben (neu, geändert, umbenannt oder entfernt)
+   */
+  getChangedSources(previousRecords, sourceRecords, files) {
+    const filesById = new Map(files.map(file => [file.id, file]));
+    const currentIds = new Set(sourceRecords.map(record => record.id));
+    const triggers = [];
+
+    for (const record of sourceRecords) {
+      const previous = previousRecords.get(record.id);
+      let change = null;
+
+      if (!previous) {
+        change = 'neu';
+      } else if (previous.name !== record.name) {
+        change = `umbenannt (vorher „${previous.name}“)`;
+      } else if (previous.contentHash ? previous.contentHash !== record.contentHash : previous.modifiedTime !== record.modifiedTime) {
+        change = 'geändert';
       }
 
-      // Wenn Änderungen erkannt wurden, erstelle einen Merge Request
-      if (this.changesDetected) {
-        await this.createAndSubmitMergeRequest();
-      } else {
-        Logger.info('Keine Änderungen erkannt. Kein Merge Request erstellt.');
+      if (change) {
+        const file = filesById.get(record.id);
+        triggers.push({
+          name: record.name,
+          url: this.getDriveFileUrl(file),
+          change,
+          modifiedBy: file.lastModifyingUser?.displayName || null,
+          modifiedTime: file.modifiedTime || null
+        });
       }
+    }
 
-      Logger.info('===========================================');
-      Logger.success('Synchronisation abgeschlossen');
-      Logger.info('===========================================');
-
-    } catch (error) {
-      Logger.error('Fehler bei der Synchronisation:', error.message);
-      
-      // Versuche zum Basis-Branch zurückzukehren (falls gesetzt)
-      try {
-        if (this.baseBranch) {
-          await this.gitService.returnToBranch(this.baseBranch);
-        }
-      } catch (e) {
-        // Ignoriere Fehler beim Zurückkehren
+    for (const previous of previousRecords.values()) {
+      if (!currentIds.has(previous.id)) {
+        triggers.push({ name: previous.name, url: null, change: 'entfernt', modifiedBy: null, modifiedTime: null });
       }
-      
-      throw error;
     }
+
+    return triggers;
   }
 
   /**
-   * Validiere die Konfiguration
+   * Link zu einer Datei in Google Drive
    */
-  validateConfig() {
-    const required = {
-      driveFolderId: 'DRIVE_FOLDER_ID',
-      googleApiKey: 'GOOGLE_API_KEY',
-      gitAccessToken: 'GIT_ACCESS_TOKEN, GITLAB_TOKEN, GITHUB_TOKEN oder CI_JOB_TOKEN',
-      gitProjectId: 'GIT_PROJECT_ID, GITLAB_PROJECT_ID oder CI_PROJECT_ID'
-    };
-    
-    const missing = Object.keys(required).filter(key => !this.config[key]);
-
-    if (missing.length > 0) {
-      const missingVars = missing.map(key => required[key]);
-      throw new Error(`Fehlende Umgebungsvariablen: ${missingVars.join(', ')}`);
-    }
+  getDriveFileUrl(file) {
+    return file.webViewLink || `https://drive.google.com/open?id=${file.id}`;
   }
 
   /**
-   * Verarbeite einen einzelnen Ordner
+   * Erstelle einen Branch, committe Änderungen und submitte Merge Request
+   * Bei MERGE_REQUEST_MODE=per-page wird pro geänderter Seite ein eigener Merge Request erstellt
    */
-  async processFolder(folder) {
+  async createAndSubmitMergeRequest() {
     try {
-      Logger.info(`\n--- Verarbeite Ordner: ${folder.name} ---`);
+      const timestamp = Date.now();
+      const branchName = `contentupdate/${new Date(timestamp).toISOString().replace(/[:]/g, '-').replace(/[.]\d+/, '')}`;
 
-      // Pfade definieren
-      const folderFileSlug = this.sanitizeFolderName(folder.name);
-      const mdFilePath = path.join(this.config.repoPath, this.config.contentPath, folderFileSlug) + '.md';
-      // Assets unter docs/public/{folderFileSlug} speichern
-      const assetsDir = path.join(this.config.repoPath, this.config.contentPath, this.config.assetsPath, folderFileSlug);
-      const contentDir = path.dirname(mdFilePath);
+      Logger.info('\n--- Erstelle Git Merge Request ---');
 
-      // Prüfe, ob Ordner aktualisiert werden muss
-      const needsUpdate = await this.checkIfUpdateNeeded(folder, mdFilePath);
+      if (this.config.mergeRequestMode === 'per-page') {
+        await this.createPageMergeRequests(branchName, timestamp);
+        return;
+      }
 
-      if (!needsUpdate) {
-        Logger.info(`✓ Ordner "${folder.name}" ist aktuell. Überspringe.`);
+      const commitMessage = this.buildCommitMessage(timestamp);
+      const mrTitle = this.buildMergeRequestTitle();
+
+      // Dry-Run: Nur anzeigen, was passieren würde
+      if (this.config.dryRun) {
+        const baseBranch = await this.gitService.getCurrentBranch();
+        await this.reportDryRunMergeRequest(branchName, commitMessage, mrTitle, this.buildMergeRequestDescription(branchName, baseBranch));
+        Logger.success('Dry-Run abgeschlossen - keine Dateien geschrieben, nichts gepusht');
         return;
       }
 
-      Logger.info(`→ Ordner "${folder.name}" hat Änderungen. Starte Verarbeitung...`);
+      // Erstelle Branch und merke Basis-Branch
+      this.baseBranch = await this.gitService.createBranch(branchName);
 
-      // Lade alle Dateien aus dem Ordner
-      const files = await this.driveService.listFiles(folder.id);
-      Logger.info(`  ${files.length} Dateien gefunden`);
+      // Committe Änderungen
+      const hasChanges = await this.gitService.commitChanges(commitMessage, this.getContentPaths());
 
-      // Erstelle Verzeichnisse falls nötig
-      await fs.mkdir(contentDir, { recursive: true });
-      await fs.mkdir(assetsDir, { recursive: true });
+      if (!hasChanges) {
+        Logger.info('Keine Git-Änderungen zum Pushen');
+        await this.gitService.returnToBranch(this.baseBranch);
+        return;
+      }
 
-      // Verarbeite Inhalte
-      const { textContent, images } = await this.processFiles(files, assetsDir, folderFileSlug);
+      // Offenen Merge Request wiederverwenden statt einen weiteren zu erstellen
+      // (Branches des per-page Modus gehören zu einzelnen Seiten und bleiben unberührt)
+      const openRequest = this.config.reuseMergeRequest
+        ? (await this.gitProviderService.findOpenMergeRequests(this.baseBranch))
+          .find(request => !request.sourceBranch.startsWith('contentupdate/seite/') && request.sourceBranch !== 'contentupdate/struktur')
+        : null;
 
-      // Lade existierenden Inhalt falls vorhanden
-      let existingContent = null;
-      try {
-        existingContent = await fs.readFile(mdFilePath, 'utf-8');
-        // Entferne alte Metadaten für die KI
-        existingContent = existingContent.replace(/<!--\s*SYNC_METADATA:.*?-->/s, '').trim();
-      } catch (error) {
-        Logger.debug('Keine existierende Datei gefunden (neu)');
+      if (openRequest && await this.updateOpenMergeRequest(openRequest, branchName, commitMessage, mrTitle)) {
+        return;
       }
 
-      // Transformiere mit KI
-      Logger.info('  Transformiere Inhalt mit KI...');
-      const transformedContent = await this.contentProcessor.transformToMarkdown(
-        textContent,
-        images,
-        existingContent,
-        this.contextDocuments,
-      );
+      // Pushe Branch
+      await this.gitService.pushBranch(branchName);
 
-      // Füge Metadaten ans Ende hinzu (damit Frontmatter nicht gestört wird)
-      const metadata = this.contentProcessor.createMetadataComment(files, new Date());
-      const finalContent = transformedContent + '\n\n' + metadata;
+      // Erstelle Merge Request zurück zum Basis-Branch (bei Konflikt mit Hinweis auf den offenen)
+      const mrDescription = this.buildMergeRequestDescription(branchName, this.baseBranch, {
+        conflictingRequest: openRequest || null
+      });
+      await this.gitProviderService.createMergeRequest(branchName, this.baseBranch, mrTitle, mrDescription);
 
-      // Speichere die Datei
-      await fs.writeFile(mdFilePath, finalContent, 'utf-8');
-      Logger.success(`  Datei gespeichert: ${mdFilePath}`);
+      // Zurück zum Basis-Branch
+      await this.gitService.returnToBranch(this.baseBranch);
 
-      // Markiere, dass Änderungen vorliegen
-      this.changesDetected = true;
-      this.processedFolders.push(folder.name);
+      Logger.success('\n✓ Merge Request erfolgreich erstellt!');
 
     } catch (error) {
-      Logger.error(`Fehler beim Verarbeiten von Ordner "${folder.name}":`, error.message);
-      // Fahre mit dem nächsten Ordner fort
+      Logger.error('Fehler beim Erstellen des Merge Requests:', error.message);
+      throw error;
     }
   }
 
   /**
-   * Prüfe, ob ein Ordner aktualisiert werden muss
-   */
-  async checkIfUpdateNeeded(folder, mdFilePath) {
-    try {
-      // Versuche Metadaten aus der lokalen Datei zu lesen
-      let localMetadata = null;
-
-      try {
-        const content = await fs.readFile(mdFilePath, 'utf-8');
-        localMetadata = this.contentProcessor.extractMetadata(content);
-      } catch (error) {
-        // Datei existiert nicht - Update nötig
-        Logger.debug('Lokale Datei existiert nicht - Update erforderlich');
-        return true;
-      }
-
-      // Wenn keine Metadaten vorhanden sind, muss synchronisiert werden
-      if (!localMetadata || !localMetadata.lastSync) {
-        Logger.debug('Keine Sync-Metadaten gefunden - Update erforderlich');
-        return true;
-      }
-
-      // Hole das neueste Änderungsdatum aus Drive
-      const driveModifiedTime = await this.driveService.getLatestModifiedTime(folder.id);
+   * Übertrage den Commit dieses Laufs auf den Branch eines offenen Merge Requests und aktualisiere dessen Beschreibung
+   * Der lokale Branch dieses Laufs wird danach nicht mehr benötigt
+   * Liefert false, wenn der Branch wegen eines Konflikts nicht aktualisiert werden konnte (neuer Merge Request nötig)
+   */
+  async updateOpenMergeRequest(openRequest, branchName, commitMessage, mrTitle) {
+    const { requestName } = this.gitProviderService;
+    Logger.info(`Offener ${requestName} gefunden: ${openRequest.url} (Branch ${openRequest.sourceBranch})`);
 
-      if (!driveModifiedTime) {
-        Logger.debug('Keine Dateien in Drive Ordner');
-        return false;
-      }
+    const { committed, rewritten, conflict } = await this.gitService.applyToBranch(
+      branchName, openRequest.sourceBranch, this.baseBranch, commitMessage
+    );
 
-      // Vergleiche Zeitstempel aus Metadaten mit Drive
-      const lastSync = localMetadata.lastSync;
-      Logger.debug(`Letzter Sync: ${lastSync.toISOString()}, Drive: ${driveModifiedTime.toISOString()}`);
-      
-      return driveModifiedTime > lastSync;
+    if (conflict) {
+      Logger.info(`${requestName} ${openRequest.url} bleibt unverändert, erstelle einen neuen ${requestName}`);
+      await this.gitService.returnToBranch(this.baseBranch);
+      return false;
+    }
 
-    } catch (error) {
-      Logger.error('Fehler beim Prüfen der Aktualität:', error.message);
-      // Im Fehlerfall aktualisieren
-      return true;
+    if (committed || rewritten) {
+      await this.gitService.pushBranch(openRequest.sourceBranch, { force: rewritten });
+      const mrDescription = this.buildMergeRequestDescription(openRequest.sourceBranch, this.baseBranch);
+      await this.gitProviderService.updateMergeRequest(openRequest, mrTitle, mrDescription);
     }
+
+    await this.gitService.returnToBranch(this.baseBranch);
+    await this.gitService.deleteBranch(branchName);
+
+    Logger.success(committed || rewritten
+      ? `\n✓ ${requestName} erfolgreich aktualisiert!`
+      : `\n✓ ${requestName} ist bereits aktuell`);
+    return true;
   }
 
   /**
-   * Verarbeite alle Dateien in einem Ordner
+   * Ein Merge Request pro geänderter Seite (MERGE_REQUEST_MODE=per-page)
+   * Alle Änderungen werden zunächst auf einem temporären Branch committed und dann aufgeteilt:
+   * Seite und Bilder landen auf contentupdate/seite/<slug>-<ordner-id>, alles Übrige (Navigation, entfernte
+   * Seiten) auf contentupdate/struktur. Bestehende Branches werden weitergeführt.
    */
-  async processFiles(files, assetsDir, fileSlug) {
-    let textContent = '';
-    const images = [];
+  async createPageMergeRequests(snapshotBranch, timestamp) {
+    const { requestName } = this.gitProviderService;
+    const units = this.getMergeRequestUnits();
+
+    // Dry-Run: Nur anzeigen, was passieren würde
+    if (this.config.dryRun) {
+      const baseBranch = await this.gitService.getCurrentBranch();
+      const structureUnit = units.find(unit => unit.scope.structure);
+      for (const unit of units) {
+        if (unit === structureUnit && !this.hasStructureChanges(units)) continue;
+        await this.reportDryRunMergeRequest(
+          unit.branchName,
+          this.buildCommitMessage(timestamp, unit.scope),
+          unit.title,
+          this.buildMergeRequestDescription(unit.branchName, baseBranch, unit.scope),
+          `merge-request-${unit.name}.md`
+        );
+      }
+      Logger.success('Dry-Run abgeschlossen - keine Dateien geschrieben, nichts gepusht');
+      return;
+    }
 
-    for (const file of files) {
-      try {
-        Logger.debug(`  Verarbeite: ${file.name} (${file.mimeType})`);
+    // Alle Änderungen auf einem temporären Branch sammeln
+    this.baseBranch = await this.gitService.createBranch(snapshotBranch);
+    const hasChanges = await this.gitService.commitChanges(this.buildCommitMessage(timestamp), this.getContentPaths());
+    await this.gitService.returnToBranch(this.baseBranch);
 
-        // Google Docs
-        if (file.mimeType === 'application/vnd.google-apps.document') {
-          const content = await this.driveService.downloadDocContent(file.id);
-          textContent += `\n\n## ${file.name}\n\n${content}`;
-        }
-        
-        // Google Sheets
-        else if (file.mimeType === 'application/vnd.google-apps.spreadsheet') {
-          const content = await this.driveService.downloadSheetContent(file.id);
-          textContent += `\n\n## ${file.name}\n\n\`\`\`csv\n${content}\n\`\`\``;
-        }
-        
-        // Bilder
-        else if (file.mimeType.startsWith('image/')) {
-          const imageBuffer = await this.driveService.downloadImage(file.id);
-          const ext = this.getImageExtensionIfNeeded(file.name, file.mimeType);
-          const imageName = this.sanitizeFileName(file.name);
-          const imagePath = path.join(assetsDir, `${imageName}${ext}`);
-          
-          await fs.writeFile(imagePath, imageBuffer);
-          
-          // Pfad vom Markdown (docs/{fileSlug}.md) zum Bild (/assets/{fileSlug}/)
-          const relativeImagePath = `/assets/${fileSlug}/${imageName}${ext}`;
-          images.push({
-            name: file.name,
-            path: relativeImagePath
-          });
-          
-          Logger.debug(`    Bild gespeichert: ${imagePath}`);
-        }
+    if (!hasChanges) {
+      Logger.info('Keine Git-Änderungen zum Pushen');
+      await this.gitService.deleteBranch(snapshotBranch);
+      return;
+    }
 
-      } catch (error) {
-        Logger.error(`  Fehler beim Verarbeiten von "${file.name}":`, error.message);
+    let updated = 0;
+    for (const unit of units) {
+      const [openRequest] = await this.gitProviderService.findOpenMergeRequests(this.baseBranch, { sourceBranch: unit.branchName });
+      const { committed, rewritten, conflict } = await this.gitService.applyToBranch(
+        snapshotBranch, unit.branchName, this.baseBranch, this.buildCommitMessage(timestamp, unit.scope),
+        { reuse: Boolean(openRequest), filter: unit.matches }
+      );
+
+      // Der Branch gehört zu dieser Seite - bei einem Konflikt wird der offene Merge Request nur markiert
+      if (conflict) {
+        await this.gitProviderService.updateMergeRequest(openRequest, unit.title, this.addConflictWarning(openRequest.description, this.baseBranch));
+      } else if (committed || (openRequest && rewritten)) {
+        await this.gitService.pushBranch(unit.branchName, { force: rewritten });
+        const mrDescription = this.buildMergeRequestDescription(unit.branchName, this.baseBranch, unit.scope);
+        if (openRequest) {
+          await this.gitProviderService.updateMergeRequest(openRequest, unit.title, mrDescription);
+        } else {
+          await this.gitProviderService.createMergeRequest(unit.branchName, this.baseBranch, unit.title, mrDescription);
+        }
+        updated++;
       }
+
+      await this.gitService.returnToBranch(this.baseBranch);
     }
 
-    return { textContent, images };
+    await this.gitService.deleteBranch(snapshotBranch);
+    Logger.success(`\n✓ ${updated} ${requestName}(s) erstellt bzw. aktualisiert`);
   }
 
   /**
-   * Erstelle einen Branch, committe Änderungen und submitte Merge Request
+   * Teile die Änderungen in Merge Requests auf: einer pro Seite, einer für Struktur und Navigation
+   * matches(pfad) entscheidet anhand des Repository-Pfads, ob eine Datei dazugehört
    */
-  async createAndSubmitMergeRequest() {
-    try {
-      const timestamp = Date.now();
-      const branchName = `contentupdate/${new Date(timestamp).toISOString().replace(/[:]/g, '-').replace(/[.]\d+/, '')}`;
+  getMergeRequestUnits() {
+    const pageUnits = this.changedPages.map(page => {
+      // Seite unter altem Pfad (umbenannter Ordner) gehört mit in den Merge Request
+      const renames = this.renamedPages.filter(rename => rename.to === page.slugPath && rename.contentPath === page.root.contentPath);
+      const slugPaths = [page.slugPath, ...renames.map(rename => rename.from)];
+      // Bei mehreren Zuordnungen kann derselbe Pfad in mehreren Bereichen vorkommen. Die Drive-ID macht
+      // den Namen eindeutig (sonst ergäben z.B. "a/b" und ein Ordner mit Slug "a--b" denselben Branch)
+      const prefix = page.root.name ? `${this.sanitizeFolderName(page.root.name)}--` : '';
+      const name = `${prefix}${page.slugPath.replace(/\//g, '--')}-${page.folderId}`;
 
-      Logger.info('\n--- Erstelle Git Merge Request ---');
+      return {
+        name,
+        branchName: `contentupdate/seite/${name}`,
+        title: `🤖 Content Update: ${page.folder}`,
+        scope: { pages: [page], structure: false, slugPaths, contentPath: page.root.contentPath },
+        matches: this.createPagePathMatcher(slugPaths, page.root)
+      };
+    });
 
-      // Erstelle Branch und merke Basis-Branch
-      this.baseBranch = await this.gitService.createBranch(branchName);
+    const structureUnit = {
+      name: 'struktur',
+      branchName: 'contentupdate/struktur',
+      title: `🤖 Content Update: Struktur und Navigation vom ${new Date().toLocaleDateString('de-DE')}`,
+      scope: { pages: [], structure: true },
+      matches: filePath => !pageUnits.some(unit => unit.matches(filePath))
+    };
 
-      // Committe Änderungen
-      const commitMessage = `Content Update: ${this.processedFolders.join(', ')}
+    return [...pageUnits, structureUnit];
+  }
 
-Automatisch synchronisiert von Google Drive
-Bearbeitete Ordner: ${this.processedFolders.length}
-Timestamp: ${new Date(timestamp).toISOString()}`;
+  /**
+   * Prüfe, ob es Änderungen außerhalb der einzelnen Seiten gibt (nur für die Dry-Run Vorschau)
+   */
+  hasStructureChanges(units) {
+    const isCovered = rename => units.some(unit => unit.scope.contentPath === rename.contentPath && unit.scope.slugPaths.includes(rename.to));
 
-      const hasChanges = await this.gitService.commitChanges(commitMessage, this.config.contentPath);
+    return this.navigationUpdated ||
+      this.removedPages.length > 0 ||
+      this.renamedPages.some(rename => !isCovered(rename)) ||
+      this.getUnreportedFolders().length > 0;
+  }
 
-      if (!hasChanges) {
-        Logger.info('Keine Git-Änderungen zum Pushen');
-        await this.gitService.returnToBranch(this.baseBranch);
-        return;
-      }
+  /**
+   * Erstelle eine Prüffunktion für die Dateien einer Seite (Markdown-Datei in beiden Varianten und Bilder)
+   */
+  createPagePathMatcher(slugPaths, { contentPath: rootPath, assetsPath } = this.config) {
+    const contentPath = rootPath.split(path.sep).join('/');
+    const pagePaths = new Set(slugPaths.flatMap(slugPath => [
+      path.posix.join(contentPath, `${slugPath}.md`),
+      path.posix.join(contentPath, slugPath, 'index.md')
+    ]));
+    const assetDirs = new Set(slugPaths.map(slugPath => path.posix.join(contentPath, assetsPath, slugPath)));
+
+    // Bilder von Unterordnern liegen in eigenen Unterverzeichnissen und gehören nicht dazu
+    return filePath => pagePaths.has(filePath) || assetDirs.has(path.posix.dirname(filePath));
+  }
 
-      // Pushe Branch
-      await this.gitService.pushBranch(branchName);
+  /**
+   * Verarbeitete Ordner ohne eigenen Seitenbericht (z.B. vorhandene Änderungen im Working Directory)
+   */
+  getUnreportedFolders() {
+    return this.processedFolders.filter(name => !this.changedPages.some(page => page.folder === name));
+  }
+
+  /**
+   * Entfernte Bilder, die zu keiner geänderten Seite gehören (z.B. von gelöschten oder umbenannten Ordnern)
+   */
+  getOtherRemovedAssets() {
+    const pageAssets = new Set(this.changedPages.flatMap(page => page.removedAssets));
+    return this.removedAssets.filter(asset => !pageAssets.has(asset));
+  }
 
-      // Erstelle Merge Request zurück zum Basis-Branch
-      const mrTitle = `🤖 Content Update vom ${new Date().toLocaleDateString('de-DE')}`;
-      const mrDescription = `## Automatisches Content Update
+  /**
+   * Nicht unterstützte Dateien aus Ordnern ohne Seitenbericht (fehlgeschlagen oder nicht aktualisiert)
+   */
+  getOtherUnsupportedFiles() {
+    return this.unsupportedFiles.filter(file => !this.changedPages.some(page => page.folder === file.folder));
+  }
 
-Dieser Merge Request wurde automatisch erstellt durch das Content-Synchronisations-Skript.
+  /**
+   * Erstelle die Commit-Message für die Änderungen dieses Laufs
+   * scope: { pages, structure } - Standard sind alle Seiten inkl. Struktur und Navigation
+   */
+  buildCommitMessage(timestamp, { pages = this.changedPages, structure = true } = {}) {
+    const changedAreas = [
+      ...pages.map(page => page.folder),
+      ...(structure ? [
+        ...this.getUnreportedFolders(),
+        ...this.renamedPages.map(page => page.to),
+        ...this.removedPages,
+        ...(this.navigationUpdated ? ['Navigation'] : [])
+      ] : [])
+    ];
+    const removalLines = [
+      ...(structure ? [
+        ...this.renamedPages.map(page => `Umbenannt: ${page.from} → ${page.to}`),
+        ...this.removedPages.map(page => `Entfernt: ${page}`),
+        ...this.getOtherRemovedAssets().map(asset => `Bild entfernt: ${asset}`)
+      ] : []),
+      ...pages.flatMap(page => page.removedAssets.map(asset => `Bild entfernt: ${asset}`)),
+      ...(structure ? this.failedFolders.map(failed => `Nicht aktualisiert (ungültige KI-Ausgabe): ${failed.folder}`) : []),
+      ...(structure ? this.keptManualPages.map(page => `Nicht aktualisiert (manuell bearbeitet): ${page.folder}`) : []),
+      ...(structure ? this.duplicateFolders.map(duplicate => `Nicht verarbeitet (doppelter Seitenpfad): ${duplicate.folder}`) : [])
+    ];
+
+    return `Content Update: ${changedAreas.join(', ') || 'Struktur'}
+
+Automatisch synchronisiert von Google Drive
+Bearbeitete Ordner: ${pages.length + (structure ? this.getUnreportedFolders().length : 0)}
+Timestamp: ${new Date(timestamp).toISOString()}${removalLines.length > 0 ? `\n\n${removalLines.join('\n')}` : ''}`;
+  }
+
+  /**
+   * Erstelle den Titel des Merge Requests
+   */
+  buildMergeRequestTitle() {
+    return `🤖 Content Update vom ${new Date().toLocaleDateString('de-DE')}`;
+  }
+
+  /**
+   * Erstelle die Beschreibung des Merge Requests
+   * scope: { pages, structure } - Standard sind alle Seiten inkl. Struktur und Navigation
+   */
+  buildMergeRequestDescription(branchName, baseBranch, { pages = this.changedPages, structure = true, conflictingRequest = null } = {}) {
+    const otherRemovedAssets = this.getOtherRemovedAssets();
+    const otherUnsupportedFiles = structure ? this.getOtherUnsupportedFiles() : [];
+    const unreportedFolders = structure ? this.getUnreportedFolders() : [];
 
-### Geänderte Bereiche
-${this.processedFolders.map(f => `- ${f}`).join('\n')}
+    return `## Automatisches Content Update
 
+Dieser Merge Request wurde automatisch erstellt durch das Content-Synchronisations-Skript.
+${conflictingRequest ? `
+### ⚠️ Konflikt mit offenem Merge Request
+Der offene Merge Request ${conflictingRequest.url} (Branch \`${conflictingRequest.sourceBranch}\`) enthält Commits, die nicht vom Sync stammen, und lässt sich wegen Konflikten nicht auf \`${baseBranch}\` rebasen. Er wurde nicht verändert. Dieser Merge Request enthält die aktuellen Änderungen aus Google Drive – manuelle Änderungen von dort übernehmen und den alten Merge Request schließen.
+` : ''}
+### Geänderte Seiten
+${[...pages.map(page => this.formatPageReport(page)), ...unreportedFolders.map(folder => `- ${folder}`)].join('\n\n') || '- Keine'}
+${structure ? `${this.navigationUpdated ? `\n### Navigation\nSidebar/Navigation neu erzeugt: \`${this.config.sidebarFile}\`\n` : ''}${this.renamedPages.length > 0 ? `
+### Umbenannte Seiten
+${this.renamedPages.map(page => `- \`${page.from}\` → \`${page.to}\``).join('\n')}
+` : ''}${this.removedPages.length > 0 ? `
+### Entfernte Seiten
+Die zugehörigen Ordner wurden in Google Drive gelöscht.
+${this.removedPages.map(page => `- \`${page}\``).join('\n')}
+` : ''}${otherRemovedAssets.length > 0 ? `
+### Entfernte Bilder
+${otherRemovedAssets.map(asset => `- \`${asset}\``).join('\n')}
+` : ''}${this.failedFolders.length > 0 ? `
+### ⚠️ Nicht aktualisierte Ordner
+Die KI-Ausgabe hat die Validierung auch nach ${this.config.aiRepairAttempts} Reparaturversuch(en) nicht bestanden. Die bisherigen Seiten bleiben unverändert.
+${this.failedFolders.map(failed => `- **${failed.folder}**\n${failed.errors.map(error => `  - ${error}`).join('\n')}`).join('\n')}
+` : ''}${this.duplicateFolders.length > 0 ? `
+### ⚠️ Doppelte Seitenpfade
+Diese Ordner ergeben denselben Seitenpfad wie ein anderer Ordner und wurden nicht verarbeitet. \`slug\`/\`path\` in der Steuerdatei oder den Ordnernamen anpassen.
+${this.duplicateFolders.map(duplicate => `- **${duplicate.folder}**: \`${duplicate.slugPath}\` ist schon belegt durch ${duplicate.owner}`).join('\n')}
+` : ''}${this.keptManualPages.length > 0 ? `
+### ✋ Manuell bearbeitete Seiten
+Diese Seiten wurden im Repository von Hand geändert und deshalb nicht aktualisiert. Die Änderungen aus Google Drive müssen manuell übernommen werden (oder die manuelle Änderung zurückgesetzt).
+${this.keptManualPages.map(page => `- \`${page.pagePath}\` (${page.folder}): ${page.reason}`).join('\n')}
+` : ''}${otherUnsupportedFiles.length > 0 ? `
+### Nicht unterstützte Dateien
+Diese Dateien wurden übersprungen, da ihr Typ nicht verarbeitet werden kann.
+${otherUnsupportedFiles.map(file => `- ${file.folder}: \`${file.name}\` (${file.mimeType})`).join('\n')}
+` : ''}` : ''}
 ### Details
 - **Source Branch:** \`${branchName}\`
-- **Target Branch:** \`${this.baseBranch}\`
+- **Target Branch:** \`${baseBranch}\`
 - **Zeitstempel:** ${new Date().toISOString()}
-- **Anzahl Ordner:** ${this.processedFolders.length}
+- **Anzahl Seiten:** ${pages.length + unreportedFolders.length}
 
 ---
 *Generiert von sync-content.js*`;
+  }
 
-      await this.gitProviderService.createMergeRequest(branchName, this.baseBranch, mrTitle, mrDescription);
+  /**
+   * Markiere einen Merge Request, dessen Branch wegen eines Konflikts nicht aktualisiert werden konnte
+   * Ein Hinweis aus einem früheren Lauf wird ersetzt
+   */
+  addConflictWarning(description, baseBranch) {
+    const warning = `<!-- sync:konflikt start -->
+### ⚠️ Konflikt
+Dieser Branch enthält Commits, die nicht vom Sync stammen, und lässt sich wegen Konflikten nicht auf \`${baseBranch}\` rebasen. Die Änderungen aus Google Drive vom ${new Date().toLocaleString('de-DE')} wurden deshalb nicht übernommen. Nach einem manuellen Rebase überträgt der nächste Sync sie.
+<!-- sync:konflikt end -->
 
-      // Zurück zum Basis-Branch
-      await this.gitService.returnToBranch(this.baseBranch);
+`;
+    return warning + (description || '').replace(/<!-- sync:konflikt start -->[\s\S]*?<!-- sync:konflikt end -->\n*/, '');
+  }
 
-      Logger.success('\n✓ Merge Request erfolgreich erstellt!');
+  /**
+   * Formatiere die Angaben einer geänderten Seite für die Merge-Request-Beschreibung
+   */
+  formatPageReport(page) {
+    const formatLink = source => source.url ? `[${source.name}](${source.url})` : source.name;
+    const formatTrigger = trigger => {
+      const details = [
+        trigger.modifiedBy ? `von ${trigger.modifiedBy}` : null,
+        trigger.modifiedTime ? `am ${new Date(trigger.modifiedTime).toLocaleString('de-DE')}` : null
+      ].filter(Boolean).join(' ');
+      return `  - ${formatLink(trigger)}: ${trigger.change}${details ? ` ${details}` : ''}`;
+    };
+
+    const lines = [
+      `#### ${page.folder}`,
+      `- **Seite:** \`${page.pagePath}\``,
+      `- **Änderungen:** ${page.summary}`,
+      page.triggers.length > 0
+        ? `- **Ausgelöst durch:**\n${page.triggers.map(formatTrigger).join('\n')}`
+        : '- **Ausgelöst durch:** keine geänderten Quelldateien (neu erzeugt, z.B. mit --force)',
+      `- **Quellen:** ${page.sources.map(formatLink).join(', ') || '-'}`,
+      ...(page.removedAssets.length > 0 ? [`- **Entfernte Bilder:** ${page.removedAssets.map(asset => `\`${path.basename(asset)}\``).join(', ')}`] : []),
+      ...(page.warnings.length > 0 ? [`- **⚠️ Hinweise:**\n${page.warnings.map(warning => `  - ${warning}`).join('\n')}`] : []),
+      ...(page.manualDiff ? [`\n<details><summary>Überschriebene manuelle Änderungen</summary>\n\n\`\`\`diff\n${page.manualDiff.trim()}\n\`\`\`\n\n</details>`] : [])
+    ];
+
+    return lines.join('\n');
+  }
 
+  /**
+   * Dry-Run: Zeige die Vorschau einer Seite als Unified Diff
+   * Schreibt in DRY_RUN_OUTPUT_DIR (falls gesetzt), sonst auf die Konsole
+   */
+  async reportDryRunPage(folder, mdFilePath, newContent) {
+    let oldContent = '';
+    try {
+      oldContent = await fs.readFile(mdFilePath, 'utf-8');
     } catch (error) {
-      Logger.error('Fehler beim Erstellen des Merge Requests:', error.message);
-      throw error;
+      // Neue Seite
+    }
+
+    this.previewPages.set(mdFilePath, newContent);
+    await this.reportDryRunDiff(folder.slugPath, mdFilePath, oldContent, newContent);
+  }
+
+  /**
+   * Dry-Run: Gib den Diff einer Datei aus bzw. schreibe ihn als <name>.diff
+   */
+  async reportDryRunDiff(name, filePath, oldContent, newContent) {
+    const relativePath = path.relative(this.config.repoPath, filePath).split(path.sep).join('/');
+    const diff = await this.gitService.diffContents(relativePath, oldContent, newContent);
+
+    if (this.config.dryRunOutputDir) {
+      const diffPath = path.join(this.config.dryRunOutputDir, `${name}.diff`);
+      await fs.mkdir(path.dirname(diffPath), { recursive: true });
+      await fs.writeFile(diffPath, diff, 'utf-8');
+      Logger.info(`  [Dry-Run] Diff geschrieben: ${diffPath}`);
+    } else {
+      Logger.info(`  [Dry-Run] Vorschau für ${relativePath}:\n${diff || '(keine Änderungen)'}`);
+    }
+  }
+
+  /**
+   * Dry-Run: Zeige Branch, Commit-Message und Merge Request, die erstellt würden
+   */
+  async reportDryRunMergeRequest(branchName, commitMessage, mrTitle, mrDescription, fileName = 'merge-request.md') {
+    const report = `# Dry-Run: ${this.gitProviderService.requestName}
+
+- **Branch:** \`${branchName}\`
+
+## Commit-Message
+
+\`\`\`
+${commitMessage}
+\`\`\`
+
+## ${this.gitProviderService.requestName}: ${mrTitle}
+
+${mrDescription}
+`;
+
+    if (this.config.dryRunOutputDir) {
+      const reportPath = path.join(this.config.dryRunOutputDir, fileName);
+      await fs.mkdir(this.config.dryRunOutputDir, { recursive: true });
+      await fs.writeFile(reportPath, report, 'utf-8');
+      Logger.info(`[Dry-Run] ${this.gitProviderService.requestName} Vorschau geschrieben: ${reportPath}`);
+    } else {
+      Logger.info(`[Dry-Run] Folgendes würde erstellt werden:\n${report}`);
     }
   }
 
@@ -1217,25 +6153,424 @@ ${this.processedFolders.map(f => `- ${f}`).join('\n')}
   }
 }
 
+// ========================================
+// Webhook Server (serve)
+// ========================================
+
+/**
+ * HTTP-Endpunkt für Drive-Benachrichtigungen (changes.watch)
+ * Bündelt Benachrichtigungen (Debounce) und startet dann einen inkrementellen Sync,
+ * der nur die betroffenen Ordner verarbeitet. Watch-Kanäle werden vor Ablauf erneuert.
+ */
+class WebhookServer {
+  constructor(config, { createSynchronizer = (syncConfig) => new ContentSynchronizer(syncConfig) } = {}) {
+    // Benachrichtigungen enthalten keine Details - welche Ordner betroffen sind, liefert die Changes API
+    this.config = { ...config, incrementalSync: true };
+    this.createSynchronizer = createSynchronizer;
+    this.driveService = new DriveService(createGoogleAuth(config), { driveId: config.driveId });
+    this.token = config.webhookToken || crypto.randomBytes(24).toString('hex');
+    this.webhookPath = config.webhookUrl ? new URL(config.webhookUrl).pathname : '/webhook';
+
+    this.server = null;
+    this.channel = null; // Aktueller Watch-Kanal
+    this.channels = new Map(); // Gültige Kanäle (während der Erneuerung auch der vorherige)
+    this.renewTimer = null;
+    this.debounceTimer = null;
+    this.running = false;
+    this.rerunRequested = false;
+    this.syncState = null; // Zustand des inkrementellen Syncs zwischen den Läufen
+    this.lastRun = null;
+    this.lastNotification = null;
+    this.notificationCount = 0;
+    this.startedAt = null;
+  }
+
+  /**
+   * Starte HTTP-Server, initialen Sync und Watch-Kanal
+   */
+  async start() {
+    if (!this.config.webhookUrl) {
+      throw new Error('serve benötigt WEBHOOK_URL (öffentliche HTTPS-Adresse dieses Servers)');
+    }
+    if (getGoogleAuthMethod(this.config) === 'api-key') {
+      throw new Error('Drive-Benachrichtigungen benötigen einen Service Account oder OAuth (GOOGLE_API_KEY reicht nicht)');
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.servePort, this.config.serveHost, resolve);
+    });
+    this.startedAt = new Date();
+
+    Logger.info(`Webhook-Server läuft auf http://${this.config.serveHost}:${this.config.servePort}`);
+    Logger.info(`  Benachrichtigungen: ${this.webhookPath}, Status: /health`);
+    if (!this.config.webhookToken) {
+      Logger.info('  WEBHOOK_TOKEN nicht gesetzt - es wird ein zufälliger Token pro Start verwendet');
+    }
+
+    // Initialer Sync legt den Zustand (Page Token) an, danach Änderungen abonnieren
+    await this.runSync('Start');
+    await this.startWatch();
+  }
+
+  /**
+   * Beende Timer, Watch-Kanal und HTTP-Server
+   */
+  async stop() {
+    clearTimeout(this.renewTimer);
+    clearTimeout(this.debounceTimer);
+
+    if (this.channel) {
+      try {
+        await this.driveService.stopChannel(this.channel);
+      } catch (error) {
+        // Kanal läuft ohnehin ab
+      }
+    }
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    Logger.info('Webhook-Server beendet');
+  }
+
+  /**
+   * Verarbeite eine HTTP-Anfrage (Health-Endpunkt oder Drive-Benachrichtigung)
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      this.sendJson(res, 200, this.getHealth());
+    } else if (req.method === 'POST' && url.pathname === this.webhookPath) {
+      req.resume(); // Drive sendet keinen relevanten Body
+      this.handleNotification(req, res);
+    } else {
+      this.sendJson(res, 404, { error: 'Nicht gefunden' });
+    }
+  }
+
+  /**
+   * Prüfe eine Drive-Benachrichtigung (Kanal und Token) und plane einen Sync
+   */
+  handleNotification(req, res) {
+    const channelId = req.headers['x-goog-channel-id'];
+    const token = req.headers['x-goog-channel-token'];
+    const resourceState = req.headers['x-goog-resource-state'];
+
+    if (!this.isValidToken(token) || !this.channels.has(channelId)) {
+      Logger.info(`Benachrichtigung abgelehnt (ungültiger Token oder unbekannter Kanal: ${channelId || '-'})`);
+      this.sendJson(res, 403, { error: 'Ungültiger Kanal oder Token' });
+      return;
+    }
+
+    res.writeHead(200);
+    res.end();
+
+    // "sync" bestätigt nur das Anlegen des Kanals
+    if (resourceState === 'sync') {
+      Logger.debug(`Watch-Kanal bestätigt: ${channelId}`);
+      return;
+    }
+
+    this.notificationCount++;
+    this.lastNotification = new Date();
+    Logger.debug(`Benachrichtigung erhalten (${resourceState}), Sync in ${this.config.webhookDebounceSeconds}s`);
+    this.scheduleSync();
+  }
+
+  /**
+   * Vergleiche den Token in konstanter Zeit
+   */
+  isValidToken(token) {
+    if (typeof token !== 'string') return false;
+    const expected = Buffer.from(this.token);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Starte den Sync erst, wenn für WEBHOOK_DEBOUNCE_SECONDS keine Benachrichtigung mehr kam
+   */
+  scheduleSync() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.runSync('Benachrichtigung');
+    }, this.config.webhookDebounceSeconds * 1000);
+  }
+
+  /**
+   * Führe einen inkrementellen Sync aus (nie parallel - währenddessen eingehende Änderungen lösen einen weiteren Lauf aus)
+   */
+  async runSync(reason) {
+    if (this.running) {
+      this.rerunRequested = true;
+      return;
+    }
+
+    this.running = true;
+    const startedAt = new Date();
+    Logger.info(`\n🔔 Starte Sync (${reason})`);
+
+    try {
+      const synchronizer = this.createSynchronizer(this.config);
+      synchronizer.initialSyncState = this.syncState;
+      await synchronizer.sync();
+
+      this.syncState = { ...this.syncState, ...synchronizer.savedSyncState };
+      this.lastRun = {
+        reason,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        success: true,
+        processedFolders: synchronizer.processedFolders
+      };
+    } catch (error) {
+      Logger.error('Sync fehlgeschlagen:', error.message);
+      this.lastRun = {
+        reason,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        success: false,
+        error: error.message
+      };
+    } finally {
+      this.running = false;
+      if (this.rerunRequested) {
+        this.rerunRequested = false;
+        this.scheduleSync();
+      }
+    }
+  }
+
+  /**
+   * Lege einen neuen Watch-Kanal an, beende den vorherigen und plane die nächste Erneuerung
+   */
+  async startWatch() {
+    clearTimeout(this.renewTimer);
+
+    try {
+      const pageToken = await this.driveService.getStartPageToken();
+      const channel = await this.driveService.watchChanges(pageToken, {
+        id: crypto.randomUUID(),
+        address: this.config.webhookUrl,
+        token: this.token,
+        expiration: Date.now() + this.config.watchChannelHours * 60 * 60 * 1000
+      });
+
+      const previous = this.channel;
+      this.channel = channel;
+      this.channels.set(channel.id, channel);
+      Logger.info(`Watch-Kanal aktiv bis ${new Date(channel.expiration).toISOString()} (${channel.id})`);
+
+      if (previous) {
+        this.channels.delete(previous.id);
+        await this.driveService.stopChannel(previous).catch(() => {});
+      }
+
+      // 10 Minuten vor Ablauf erneuern
+      const delay = Math.max(60 * 1000, channel.expiration - Date.now() - 10 * 60 * 1000);
+      this.renewTimer = setTimeout(() => this.startWatch(), delay);
+    } catch (error) {
+      Logger.error('Watch-Kanal konnte nicht angelegt werden, neuer Versuch in 5 Minuten:', error.message);
+      this.renewTimer = setTimeout(() => this.startWatch(), 5 * 60 * 1000);
+    }
+  }
+
+  /**
+   * Status für den Health-Endpunkt
+   */
+  getHealth() {
+    return {
+      status: this.lastRun && !this.lastRun.success ? 'error' : 'ok',
+      startedAt: this.startedAt?.toISOString() || null,
+      running: this.running,
+      syncScheduled: this.debounceTimer !== null,
+      lastRun: this.lastRun,
+      lastNotification: this.lastNotification?.toISOString() || null,
+      notifications: this.notificationCount,
+      channel: this.channel
+        ? { id: this.channel.id, expiration: new Date(this.channel.expiration).toISOString() }
+        : null
+    };
+  }
+
+  /**
+   * Hilfsfunktion: JSON-Antwort senden
+   */
+  sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
 // ========================================
 // Hauptprogramm
 // ========================================
 
+const CLI_COMMANDS = ['sync', 'status', 'serve'];
+
+const CLI_HELP = `
+Verwendung: sync-content [befehl] [optionen]
+
+Befehle:
+  sync                    Synchronisiere Google Drive → VitePress (Standard)
+  status                  Liste alle Drive-Ordner mit letztem Sync und Aktualität
+  serve                   Webhook-Server für Drive-Benachrichtigungen starten
+                          (synchronisiert geänderte Ordner automatisch)
+
+Optionen:
+  -f, --folder <name|id>  Nur diesen Ordner (inkl. Unterordner) synchronisieren.
+                          Mehrfach angebbar oder kommagetrennt.
+      --force             Diff-Check ignorieren und alle Ordner neu verarbeiten
+      --no-mr             Keinen Branch/Commit/Merge Request erstellen
+      --no-ai             Ohne KI konvertieren (Markdown mit Frontmatter, nichts umformuliert)
+      --dry-run           Nichts schreiben, nichts pushen - nur Vorschau
+  -c, --config <datei>    Konfigurationsdatei (Standard: sync.config.json/.yaml/.yml/.js
+                          im Repository, alternativ SYNC_CONFIG)
+  -h, --help              Diese Hilfe anzeigen
+
+Alle übrigen Einstellungen werden in der Konfigurationsdatei oder über
+Umgebungsvariablen (.env) gesetzt. Umgebungsvariablen haben Vorrang vor der
+Konfigurationsdatei, Kommandozeilen-Optionen vor beiden.
+`;
+
+/**
+ * Lese Befehl und Optionen von der Kommandozeile
+ * Liefert den Befehl und die Überschreibungen für CONFIG
+ */
+function parseCliArguments(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      folder: { type: 'string', short: 'f', multiple: true },
+      force: { type: 'boolean' },
+      'no-mr': { type: 'boolean' },
+      'no-ai': { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+      config: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const command = positionals[0] || 'sync';
+  if (!CLI_COMMANDS.includes(command)) {
+    throw new Error(`Unbekannter Befehl: ${command}`);
+  }
+  if (positionals.length > 1) {
+    throw new Error(`Unerwartete Argumente: ${positionals.slice(1).join(' ')}`);
+  }
+
+  const overrides = {};
+  if (values.folder) {
+    overrides.folderFilter = values.folder.flatMap(f => f.split(',')).map(f => f.trim()).filter(Boolean);
+  }
+  if (values.force) overrides.forceUpdate = true;
+  if (values['no-mr']) overrides.createMergeRequest = false;
+  if (values['no-ai']) overrides.useAi = false;
+  if (values['dry-run']) overrides.dryRun = true;
+
+  return {
+    command,
+    help: Boolean(values.help),
+    configFile: values.config || null,
+    overrides
+  };
+}
+
 async function main() {
+  let cli;
+  try {
+    cli = parseCliArguments(process.argv.slice(2));
+  } catch (error) {
+    Logger.error(error.message);
+    Logger.print(CLI_HELP);
+    process.exit(1);
+  }
+
+  if (cli.help) {
+    Logger.print(CLI_HELP);
+    process.exit(0);
+  }
+
+  try {
+    Object.assign(CONFIG, await loadConfig(cli.configFile ? { configFile: cli.configFile } : {}));
+    if (CONFIG.configFile) {
+      Logger.debug(`Konfigurationsdatei: ${CONFIG.configFile}`);
+    }
+  } catch (error) {
+    Logger.error(error.message);
+    process.exit(1);
+  }
+
   try {
-    // Erstelle Synchronizer-Instanz
-    const synchronizer = new ContentSynchronizer(CONFIG);
+    if (cli.command === 'serve') {
+      const server = new WebhookServer({ ...CONFIG, ...cli.overrides });
+      await server.start();
+
+      // Läuft bis SIGINT/SIGTERM
+      await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+      await server.stop();
+      process.exit(0);
+    }
 
-    // Starte Synchronisation
-    await synchronizer.sync();
+    // Erstelle Synchronizer-Instanz (CLI-Optionen überschreiben CONFIG)
+    const synchronizer = new ContentSynchronizer({ ...CONFIG, ...cli.overrides });
+
+    switch (cli.command) {
+      case 'sync':
+        // Starte Synchronisation
+        await synchronizer.sync();
+        break;
+      case 'status':
+        await synchronizer.status();
+        break;
+    }
 
     process.exit(0);
   } catch (error) {
-    Logger.error('\n❌ Synchronisation fehlgeschlagen:', error.message);
+    Logger.error(`\n❌ Befehl "${cli.command}" fehlgeschlagen:`, error.message);
     Logger.debug(error.stack);
     process.exit(1);
   }
 }
 
-// Starte das Skript
-main();
+// ========================================
+// Exporte (für Tests)
+// ========================================
+
+export {
+  CONFIG,
+  CONFIG_SCHEMA,
+  MAPPING_SCHEMA,
+  checkConfigValue,
+  loadConfig,
+  parseCliArguments,
+  Logger,
+  DriveService,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  PassthroughProvider,
+  createLlmProvider,
+  MarkdownValidator,
+  ContentProcessor,
+  DocsMarkdownConverter,
+  SheetsMarkdownRenderer,
+  NavigationGenerator,
+  ImageOptimizer,
+  GitService,
+  GitProviderService,
+  ContentSynchronizer,
+  WebhookServer
+};
+
+// Starte das Skript nur bei direktem Aufruf (auch über den npm-bin-Symlink), nicht beim Import
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  main();
+}
@@ -0,0 +1,155 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CONFIG_SCHEMA, checkConfigValue, loadConfig } from '../sync-content.js';
+
+// Umgebungsvariablen der Test-Umgebung (z.B. CI_PROJECT_DIR, GITHUB_TOKEN) dürfen die Tests nicht beeinflussen
+const ENV_NAMES = ['SYNC_CONFIG', ...Object.values(CONFIG_SCHEMA).flatMap(rule => rule.env)];
+let savedEnv;
+let directory;
+
+beforeEach(async () => {
+  savedEnv = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+  ENV_NAMES.forEach(name => delete process.env[name]);
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-config-'));
+});
+
+afterEach(async () => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+async function writeConfig(name, text) {
+  const filePath = path.join(directory, name);
+  await fs.writeFile(filePath, text);
+  return filePath;
+}
+
+test('checkConfigValue: Texte, URLs und Pfade', () => {
+  assert.equal(checkConfigValue({ type: 'string' }, 'abc'), 'abc');
+  assert.throws(() => checkConfigValue({ type: 'string' }, ' '), /nicht-leerer Text/);
+  assert.throws(() => checkConfigValue({ type: 'url' }, 'ftp://example.org'), /keine gültige http\(s\)-URL/);
+  assert.equal(checkConfigValue({ type: 'path' }, 'docs/guide'), 'docs/guide');
+  assert.throws(() => checkConfigValue({ type: 'path' }, '/etc'), /relativer Pfad innerhalb des Repositories/);
+  assert.throws(() => checkConfigValue({ type: 'path' }, 'docs/../..'), /relativer Pfad innerhalb des Repositories/);
+  assert.throws(() => checkConfigValue({ type: 'path' }, ''), /muss ein relativer Pfad sein/);
+  assert.equal(checkConfigValue({ type: 'path', allowEmpty: true }, ''), '');
+});
+
+test('checkConfigValue: Auswahl, Wahrheitswerte, Zahlen und Listen', () => {
+  assert.equal(checkConfigValue({ type: 'enum', values: ['gemini', 'openai'] }, ' OpenAI '), 'openai');
+  assert.throws(() => checkConfigValue({ type: 'enum', values: ['gemini'] }, 'claude'), /erlaubt: gemini/);
+  assert.throws(() => checkConfigValue({ type: 'boolean' }, 'true'), /true oder false/);
+  assert.equal(checkConfigValue({ type: 'integer', min: 1, max: 100 }, 100), 100);
+  assert.throws(() => checkConfigValue({ type: 'integer', min: 1 }, 1.5), /ganze Zahl/);
+  assert.throws(() => checkConfigValue({ type: 'integer', min: 1, max: 100 }, 0), /außerhalb des erlaubten Bereichs \(1 bis 100\)/);
+  assert.throws(() => checkConfigValue({ type: 'number' }, NaN), /Zahl/);
+  assert.deepEqual(checkConfigValue({ type: 'list' }, [' a ', '', 'b']), ['a', 'b']);
+  assert.throws(() => checkConfigValue({ type: 'list' }, [1]), /Liste von Texten/);
+});
+
+test('checkConfigValue: Zuordnungen nennen die Position in der Liste', () => {
+  assert.deepEqual(checkConfigValue({ type: 'mappings' }, [{ driveFolderId: 'abc', contentPath: 'docs/a' }]), [
+    { driveFolderId: 'abc', contentPath: 'docs/a', name: 'docs/a' }
+  ]);
+  assert.throws(() => checkConfigValue({ type: 'mappings' }, [{ driveFolderId: 'abc' }]), /^Error: \[0\]\.contentPath: fehlt$/);
+  assert.throws(() => checkConfigValue({ type: 'mappings' }, [{ driveFolderId: 'abc', contentPath: 'a', farbe: 'rot' }]), /\[0\]\.farbe: unbekannte Einstellung/);
+  assert.throws(() => checkConfigValue({ type: 'mappings' }, ['docs']), /\[0\] muss ein Objekt sein/);
+});
+
+test('loadConfig: Standardwerte ohne Konfigurationsdatei', async () => {
+  process.env.REPO_PATH = directory;
+  const config = await loadConfig();
+
+  assert.equal(config.configFile, null);
+  assert.equal(config.repoPath, directory);
+  assert.equal(config.contentPath, 'docs');
+  assert.equal(config.llmModel, 'gemini-3-pro-preview');
+  assert.deepEqual(config.mappings, []);
+  assert.ok(config.systemPrompt.length > 0);
+});
+
+test('loadConfig: YAML-Datei, Umgebungsvariablen haben Vorrang', async () => {
+  const configFile = await writeConfig('sync.config.yaml', 'contentPath: inhalt\nimageQuality: 60\nrepoPath: site\nsyncStateDir: .state\n');
+  process.env.IMAGE_QUALITY = '90';
+  process.env.SYNC_FOLDERS = 'Verein, Termine';
+  process.env.DRY_RUN = 'yes';
+
+  const config = await loadConfig({ configFile });
+
+  assert.equal(config.configFile, configFile);
+  assert.equal(config.contentPath, 'inhalt');
+  assert.equal(config.imageQuality, 90);
+  assert.deepEqual(config.folderFilter, ['Verein', 'Termine']);
+  assert.equal(config.dryRun, true);
+  // Pfade aus der Datei beziehen sich auf deren Verzeichnis
+  assert.equal(config.repoPath, path.join(directory, 'site'));
+});
+
+test('loadConfig: JSON- und JavaScript-Dateien', async () => {
+  const jsonFile = await writeConfig('sync.config.json', JSON.stringify({ llmProvider: 'none' }));
+  assert.equal((await loadConfig({ configFile: jsonFile })).llmProvider, 'none');
+
+  const jsFile = await writeConfig('sync.config.mjs', 'export default () => ({ imageFormat: "avif" });');
+  assert.equal((await loadConfig({ configFile: jsFile })).imageFormat, 'avif');
+});
+
+test('loadConfig: alle Fehler werden gesammelt gemeldet', async () => {
+  const configFile = await writeConfig('sync.config.yaml', [
+    'farbe: rot',
+    'googleApiKey: geheim',
+    'imageQuality: 0',
+    'llmProvider: openai',
+    'mappings:',
+    '  - { driveFolderId: a, contentPath: docs }',
+    '  - { driveFolderId: b, contentPath: docs/verein }'
+  ].join('\n'));
+  process.env.CONTENT_PATH = '/absolut';
+
+  await assert.rejects(loadConfig({ configFile }), error => {
+    assert.match(error.message, /^Ungültige Konfiguration:/);
+    assert.deepEqual(error.configErrors, [
+      'sync.config.yaml → farbe: unbekannte Einstellung',
+      'sync.config.yaml → googleApiKey: geheime Werte gehören nicht in die Konfigurationsdatei - bitte per Umgebungsvariable GOOGLE_API_KEY setzen',
+      'CONTENT_PATH: "/absolut" muss ein relativer Pfad innerhalb des Repositories sein',
+      'sync.config.yaml → imageQuality: 0 liegt außerhalb des erlaubten Bereichs (1 bis 100)',
+      'mappings[1].contentPath: "docs/verein" überschneidet sich mit mappings[0].contentPath "docs" (Zielverzeichnisse dürfen nicht gleich oder ineinander verschachtelt sein)',
+      'llmApiUrl (LLM_API_URL): wird für LLM_PROVIDER=openai benötigt',
+      'llmModel (LLM_MODEL): wird für LLM_PROVIDER=openai benötigt (z.B. llama3.1:8b oder gpt-4o-mini)'
+    ]);
+    return true;
+  });
+});
+
+test('loadConfig: Zuordnungen als JSON in SYNC_MAPPINGS', async () => {
+  process.env.REPO_PATH = directory;
+  process.env.SYNC_MAPPINGS = '[{"driveFolderId":"a","contentPath":"verein","assetsPath":"bilder"}]';
+
+  await assert.rejects(loadConfig(), /mappings\[0\]\.assetsPath: "verein\/bilder" liegt außerhalb von contentPath/);
+
+  process.env.SYNC_MAPPINGS = '[{"driveFolderId":"a","contentPath":"docs/verein","assetsPath":"bilder"}]';
+  const [mapping] = (await loadConfig()).mappings;
+  assert.deepEqual(mapping, { driveFolderId: 'a', contentPath: 'docs/verein', assetsPath: 'bilder', name: 'docs/verein' });
+});
+
+test('loadConfig: Suche im Repository und Fehler bei fehlenden oder mehrdeutigen Dateien', async () => {
+  process.env.REPO_PATH = directory;
+  await assert.rejects(loadConfig({ configFile: path.join(directory, 'fehlt.yaml') }), /Konfigurationsdatei nicht gefunden/);
+
+  await writeConfig('sync.config.yaml', 'contentPath: inhalt\n');
+  assert.equal((await loadConfig()).contentPath, 'inhalt');
+
+  await writeConfig('sync.config.json', '{}');
+  await assert.rejects(loadConfig(), /Mehrere Konfigurationsdateien gefunden \(sync\.config\.json, sync\.config\.yaml\)/);
+
+  await writeConfig('sync.config.json', '[1, 2]');
+  await assert.rejects(loadConfig({ configFile: path.join(directory, 'sync.config.json') }), /muss ein Objekt mit Einstellungen enthalten/);
+});
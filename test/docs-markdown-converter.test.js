@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DocsMarkdownConverter } from '../sync-content.js';
+
+const converter = new DocsMarkdownConverter();
+
+test('Formatierungen aus CSS-Klassen des Google-Docs-Exports', () => {
+  const html = '<html><head><style>.c1{font-weight:700}.c2{font-style:italic}.c3{font-family:"Courier New"}</style></head>'
+    + '<body><p><span class="c1">fett</span> und <span class="c2">kursiv</span> und <span class="c3">code</span></p></body></html>';
+
+  assert.equal(converter.convert(html), '**fett** und *kursiv* und `code`');
+});
+
+test('Überschriften mit headingOffset, Titel und Untertitel', () => {
+  assert.equal(converter.convert('<h1>Titel</h1><p>Text</p>'), '# Titel\n\nText');
+  assert.equal(converter.convert('<h1>Titel</h1><p>Text</p>', { headingOffset: 1 }), '## Titel\n\nText');
+  assert.equal(converter.convert('<h6>Tief</h6>', { headingOffset: 2 }), '###### Tief');
+  assert.equal(converter.convert('<p class="title">Doc</p><p class="subtitle">Sub</p>'), '# Doc\n\n*Sub*');
+});
+
+test('Flache Google-Docs-Listen werden über die Klasse lst-…-N verschachtelt', () => {
+  const html = '<ul class="lst-kix_a-0"><li>Eins</li></ul><ul class="lst-kix_a-1"><li>Unter</li></ul>'
+    + '<ol class="lst-kix_b-0" start="3"><li>Drei</li></ol>';
+
+  assert.equal(converter.convert(html), '- Eins\n  - Unter\n3. Drei');
+});
+
+test('Tabellen: Kopfzeile, Pipe im Zelltext, mehrere Absätze und fehlende Zellen', () => {
+  const html = '<table><tr><td>A|B</td><td>X</td></tr><tr><td><p>1</p><p>2</p></td></tr></table>';
+
+  assert.equal(converter.convert(html), '| A\\|B | X |\n|---|---|\n| 1<br>2 |  |');
+});
+
+test('Links: Google-Weiterleitung entfernen, interne Sprungmarken als Text', () => {
+  const html = '<p><a href="https://www.google.com/url?q=https://example.org/&sa=D">Link</a> <a href="#h.abc">Anker</a></p>';
+
+  assert.equal(converter.convert(html), '[Link](https://example.org/) Anker');
+});
+
+test('Markdown-Sonderzeichen im Fließtext werden maskiert', () => {
+  const html = '<p>1. kein Listenpunkt</p><p># keine Überschrift</p><p>snake_case *stern* _x_</p>';
+
+  assert.equal(converter.convert(html), '1\\. kein Listenpunkt\n\n\\# keine Überschrift\n\nsnake_case \\*stern\\* \\_x\\_');
+});
+
+test('Zeilenumbruch im Absatz wird zum harten Umbruch', () => {
+  assert.equal(converter.convert('<p>Zeile<br>zwei</p>'), 'Zeile\\\nzwei');
+});
+
+test('Bilder über resolveImage auflösen oder weglassen', () => {
+  const html = '<p><img src="a.png" alt="Bild [1]"></p><p><img src="weg.png"></p>';
+  const resolveImage = src => (src === 'weg.png' ? null : { path: `/assets/${src}` });
+
+  assert.equal(converter.convert(html), '![Bild 1](a.png)\n\n![](weg.png)');
+  assert.equal(converter.convert(html, { resolveImage }), '![Bild 1](/assets/a.png)');
+});
+
+test('Leere Absätze ergeben kein Markdown', () => {
+  assert.equal(converter.convert('<p>&nbsp;</p><p>  </p>'), '');
+  assert.equal(converter.convert(''), '');
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContentSynchronizer } from '../sync-content.js';
+
+// Die Methoden brauchen keine Google- oder Git-Verbindung, daher ohne Konstruktor
+const synchronizer = Object.create(ContentSynchronizer.prototype);
+
+const region = '<!-- sync:keep start -->\n<Karte />\n<!-- sync:keep end -->';
+const existing = `# Seite\n\n## Anfahrt\n\nText\n\n${region}\n\n## Kontakt\n\nMail`;
+
+test('protectKeepRegions ersetzt Bereiche durch Platzhalter und merkt die Überschrift', () => {
+  const { content, regions } = synchronizer.protectKeepRegions(existing);
+
+  assert.equal(content, '# Seite\n\n## Anfahrt\n\nText\n\n<!-- sync:keep:1 -->\n\n## Kontakt\n\nMail');
+  assert.deepEqual(regions, [{ placeholder: '<!-- sync:keep:1 -->', content: region, heading: '## Anfahrt' }]);
+  assert.deepEqual(synchronizer.protectKeepRegions(null), { content: null, regions: [] });
+});
+
+test('insertKeepRegions setzt den Bereich anstelle des Platzhalters ein', () => {
+  const { regions } = synchronizer.protectKeepRegions(existing);
+  const transformed = '# Seite\n\n## Anfahrt\n\nNeuer Text\n\n<!-- sync:keep:1 -->\n\n## Kontakt\n\nMail';
+
+  assert.equal(synchronizer.insertKeepRegions(transformed, regions), `# Seite\n\n## Anfahrt\n\nNeuer Text\n\n${region}\n\n## Kontakt\n\nMail`);
+});
+
+test('insertKeepRegions setzt einen doppelten Platzhalter nur einmal ein', () => {
+  const { regions } = synchronizer.protectKeepRegions(existing);
+  const transformed = '# Seite\n\n<!-- sync:keep:1 -->\n\nText\n\n<!-- sync:keep:1 -->';
+
+  assert.equal(synchronizer.insertKeepRegions(transformed, regions), `# Seite\n\n${region}\n\nText`);
+});
+
+test('insertKeepRegions: fehlender Platzhalter landet am Ende des Abschnitts seiner Überschrift', () => {
+  const { regions } = synchronizer.protectKeepRegions(existing);
+  // Die Ebene der Überschrift darf sich geändert haben
+  const transformed = '# Seite\n\n### Anfahrt\n\nNeuer Text\n\n## Kontakt\n\nMail';
+
+  assert.equal(synchronizer.insertKeepRegions(transformed, regions), `# Seite\n\n### Anfahrt\n\nNeuer Text\n\n${region}\n\n## Kontakt\n\nMail`);
+});
+
+test('insertKeepRegions: ohne passende Überschrift am Seitenende', () => {
+  const { regions } = synchronizer.protectKeepRegions(existing);
+
+  assert.equal(synchronizer.insertKeepRegions('# Seite\n\nText\n\n', regions), `# Seite\n\nText\n\n${region}`);
+  assert.equal(synchronizer.insertKeepRegions('# Seite', []), '# Seite');
+});
+
+test('Mehrere Bereiche behalten ihre Reihenfolge', () => {
+  const second = '<!-- sync:keep start -->\nZwei\n<!-- sync:keep end -->';
+  const { content, regions } = synchronizer.protectKeepRegions(`# Seite\n\n${region}\n\n${second}`);
+
+  assert.equal(content, '# Seite\n\n<!-- sync:keep:1 -->\n\n<!-- sync:keep:2 -->');
+  assert.equal(synchronizer.insertKeepRegions(content, regions), `# Seite\n\n${region}\n\n${second}`);
+});
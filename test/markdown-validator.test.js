@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkdownValidator } from '../sync-content.js';
+
+const validator = new MarkdownValidator();
+
+const frontmatter = '---\ntitle: Seite\ndescription: Beschreibung\ntags: [a, b]\n---\n';
+
+test('Gültige Seite ohne Fehler', () => {
+  const content = `${frontmatter}\n# Seite\n\nText mit ![Bild](/assets/bild.webp)\n`;
+
+  assert.deepEqual(validator.validate(content, { allowedImages: ['/assets/bild.webp'] }), []);
+});
+
+test('Frontmatter fehlt, ist ungültig oder unvollständig', () => {
+  assert.match(validator.validate('# Seite\n')[0], /Frontmatter fehlt/);
+  assert.match(validator.validate('---\ntitle: [offen\n---\n# Seite\n')[0], /YAML-Frontmatter ist ungültig/);
+  assert.deepEqual(validator.validate('---\n- a\n---\n# Seite\n'), ['YAML-Frontmatter muss ein Objekt mit title, description und tags sein']);
+  assert.deepEqual(validator.validate('---\ntitle: " "\ntags: a\n---\n# Seite\n'), [
+    'Frontmatter: "title" fehlt oder ist leer',
+    'Frontmatter: "description" fehlt oder ist leer',
+    'Frontmatter: "tags" fehlt oder ist keine Liste'
+  ]);
+});
+
+test('Genau eine H1, Überschriften in Codeblöcken zählen nicht', () => {
+  assert.deepEqual(validator.validate(`${frontmatter}## Nur H2\n`), ['Die Seite muss genau eine H1-Überschrift (# ...) enthalten, gefunden: 0']);
+  assert.deepEqual(validator.validate(`${frontmatter}# Eins\n# Zwei\n`), ['Die Seite muss genau eine H1-Überschrift (# ...) enthalten, gefunden: 2']);
+  assert.deepEqual(validator.validate(`${frontmatter}# Seite\n\n\`\`\`bash\n# Kommentar\n\`\`\`\n`), []);
+});
+
+test('Prompt-Marker in der Ausgabe', () => {
+  const errors = validator.validate(`${frontmatter}# Seite\n\n[START:Dokument]\n===SECTION:context\n`);
+
+  assert.deepEqual(errors, ['Prompt-Marker in der Ausgabe: [START:Dokument], ===SECTION:context']);
+});
+
+test('Nur erlaubte Bilder (Markdown und <img>)', () => {
+  const content = `${frontmatter}# Seite\n\n![a](/assets/a.webp "Titel")\n<img src="/assets/b.png" alt="">\n`;
+
+  assert.deepEqual(validator.validate(content, { allowedImages: ['/assets/a.webp'] }), ['Unbekanntes Bild referenziert: /assets/b.png']);
+  assert.deepEqual(validator.extractImageReferences('![x](<pfad mit.png>) ![y]( /z.png )'), ['pfad mit.png', '/z.png']);
+});
+
+test('Platzhalter geschützter Bereiche müssen erhalten bleiben', () => {
+  const content = `${frontmatter}# Seite\n\n<!-- sync:keep 1 -->\n`;
+
+  assert.deepEqual(validator.validate(content, { requiredPlaceholders: ['<!-- sync:keep 1 -->'] }), []);
+  assert.equal(validator.validate(content, { requiredPlaceholders: ['<!-- sync:keep 2 -->'] }).length, 1);
+});
+
+test('normalize entfernt einen umschließenden Markdown-Codeblock', () => {
+  assert.equal(validator.normalize('```markdown\n# Seite\n```'), '# Seite');
+  assert.equal(validator.normalize('  # Seite\n\n```js\nx\n```\n'), '# Seite\n\n```js\nx\n```');
+  assert.equal(validator.normalize(null), '');
+});
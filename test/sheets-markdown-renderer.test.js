@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SheetsMarkdownRenderer } from '../sync-content.js';
+
+const renderer = new SheetsMarkdownRenderer();
+
+test('parseCsv: einfache Zeilen, abschließender Zeilenumbruch ergibt keine Leerzeile', () => {
+  assert.deepEqual(renderer.parseCsv('a,b\n1,2\n'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(renderer.parseCsv('a,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCsv: Anführungszeichen, Kommas und Zeilenumbrüche in Feldern', () => {
+  const csv = '"Name, Vorname","Er sagte ""Hallo"""\n"Zeile 1\nZeile 2",x';
+
+  assert.deepEqual(renderer.parseCsv(csv), [
+    ['Name, Vorname', 'Er sagte "Hallo"'],
+    ['Zeile 1\nZeile 2', 'x']
+  ]);
+});
+
+test('parseCsv: leere Zellen und Leerzeilen bleiben erhalten', () => {
+  assert.deepEqual(renderer.parseCsv(',,\na,,b\n\nc'), [['', '', ''], ['a', '', 'b'], [''], ['c']]);
+  assert.deepEqual(renderer.parseCsv('""'), [['']]);
+});
+
+test('parseCsv: leere Eingabe und BOM', () => {
+  assert.deepEqual(renderer.parseCsv(''), []);
+  assert.deepEqual(renderer.parseCsv(null), []);
+  assert.deepEqual(renderer.parseCsv('\uFEFFa,b'), [['a', 'b']]);
+});
+
+test('renderTable: Kopfzeile, Escaping und leere Ränder', () => {
+  const rows = renderer.parseCsv('Name,Wert,\n"a|b","x\ny",\n<tag>,,\n,,\n');
+
+  assert.equal(renderer.renderTable(rows), '| Name | Wert |\n|---|---|\n| a\\|b | x<br>y |\n| &lt;tag> |  |');
+});
+
+test('renderTable: ohne Kopfzeile Spaltenbuchstaben, leere Tabelle ohne Ausgabe', () => {
+  assert.equal(renderer.renderTable([['1', '2']], { headerRow: false }), '| A | B |\n|---|---|\n| 1 | 2 |');
+  assert.equal(renderer.renderTable([[''], []]), '');
+  assert.equal(renderer.columnName(26), 'AA');
+});